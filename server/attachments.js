@@ -0,0 +1,102 @@
+// Resolve and validate file attachments for outgoing emails
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_MAX_BYTES = 10 * 1024 * 1024;
+// Gmail caps messages at 25MB after base64 (~4/3 growth), so keep raw total well under that
+const DEFAULT_MAX_TOTAL_BYTES = 18 * 1024 * 1024;
+
+const MIME_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.svg': 'image/svg+xml',
+  '.ics': 'text/calendar',
+  '.txt': 'text/plain',
+  '.csv': 'text/csv',
+  '.md': 'text/markdown',
+  '.html': 'text/html',
+  '.htm': 'text/html',
+  '.json': 'application/json',
+  '.zip': 'application/zip',
+  '.doc': 'application/msword',
+  '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  '.xls': 'application/vnd.ms-excel',
+  '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  '.ppt': 'application/vnd.ms-powerpoint',
+  '.pptx': 'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+};
+
+// Fallback for unknown extensions: sniff a few common magic numbers
+function sniffMimeType(buf) {
+  if (buf.length >= 4 && buf.slice(0, 4).toString('latin1') === '%PDF') return 'application/pdf';
+  if (buf.length >= 8 && buf.slice(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buf.length >= 3 && buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff) return 'image/jpeg';
+  if (buf.length >= 6 && /^GIF8[79]a$/.test(buf.slice(0, 6).toString('latin1'))) return 'image/gif';
+  if (buf.length >= 4 && buf.slice(0, 4).equals(Buffer.from([0x50, 0x4b, 0x03, 0x04]))) return 'application/zip';
+  return 'application/octet-stream';
+}
+
+function detectMimeType(filename, buf) {
+  const ext = path.extname(filename || '').toLowerCase();
+  return MIME_TYPES[ext] || sniffMimeType(buf);
+}
+
+function readLimit(cfgValue, envValue, fallback) {
+  const n = Number(cfgValue !== undefined ? cfgValue : envValue);
+  return Number.isFinite(n) && n > 0 ? n : fallback;
+}
+
+function getAttachmentLimits(base) {
+  const emailCfg = (base && base.email) || {};
+  return {
+    maxBytes: readLimit(emailCfg.attachment_max_bytes, process.env.ATTACHMENT_MAX_BYTES, DEFAULT_MAX_BYTES),
+    maxTotalBytes: readLimit(emailCfg.attachments_max_total_bytes, process.env.ATTACHMENTS_MAX_TOTAL_BYTES, DEFAULT_MAX_TOTAL_BYTES),
+  };
+}
+
+/**
+ * Load attachments listed as paths (relative to rootDir) or { path, filename?, content_type? }.
+ * Paths may not escape rootDir, also not through symlinks. Returns { attachments } or { error }.
+ */
+function resolveAttachments(list, rootDir, limits) {
+  if (!list) return { attachments: [] };
+  const entries = Array.isArray(list) ? list : [list];
+  let root;
+  try { root = fs.realpathSync(path.resolve(rootDir)); } catch (_) { root = path.resolve(rootDir); }
+  const attachments = [];
+  let total = 0;
+  for (const entry of entries) {
+    const spec = typeof entry === 'string' ? { path: entry } : (entry || {});
+    if (!spec.path || typeof spec.path !== 'string') return { error: 'invalid_attachment_entry' };
+    let abs;
+    try { abs = fs.realpathSync(path.resolve(root, spec.path)); } catch (_) { return { error: `attachment_not_found: ${spec.path}` }; }
+    if (abs !== root && !abs.startsWith(root + path.sep)) {
+      return { error: `attachment_outside_instance: ${spec.path}` };
+    }
+    let stat;
+    try { stat = fs.statSync(abs); } catch (_) { return { error: `attachment_not_found: ${spec.path}` }; }
+    if (!stat.isFile()) return { error: `attachment_not_a_file: ${spec.path}` };
+    if (stat.size > limits.maxBytes) {
+      return { error: `attachment_too_large: ${spec.path} (${stat.size} > ${limits.maxBytes} bytes)` };
+    }
+    total += stat.size;
+    if (total > limits.maxTotalBytes) {
+      return { error: `attachments_total_too_large: ${total} > ${limits.maxTotalBytes} bytes` };
+    }
+    const content = fs.readFileSync(abs);
+    const filename = spec.filename || path.basename(abs);
+    attachments.push({
+      filename,
+      contentType: spec.content_type || spec.contentType || detectMimeType(filename, content),
+      content,
+      size: stat.size,
+    });
+  }
+  return { attachments };
+}
+
+module.exports = { resolveAttachments, getAttachmentLimits, detectMimeType };
@@ -0,0 +1,215 @@
+// Calendar invite (.ics) generation from the instance `event` config block (RFC 5545)
+const crypto = require('crypto');
+
+const DEFAULT_DURATION_MS = 60 * 60 * 1000;
+
+function isValidTimeZone(tz) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: tz });
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+// Offset (ms) of `timeZone` from UTC at the given instant
+function tzOffsetMs(timeZone, instant) {
+  const dtf = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: '2-digit', day: '2-digit',
+    hour: '2-digit', minute: '2-digit', second: '2-digit',
+  });
+  const parts = {};
+  dtf.formatToParts(new Date(instant)).forEach((p) => { parts[p.type] = p.value; });
+  const asUtc = Date.UTC(Number(parts.year), Number(parts.month) - 1, Number(parts.day), Number(parts.hour), Number(parts.minute), Number(parts.second));
+  return asUtc - Math.floor(instant / 1000) * 1000;
+}
+
+/**
+ * Parse an event time. Values with an explicit offset or `Z` are absolute; wall-clock values
+ * ("2025-08-22T11:00") are interpreted in `timeZone` (UTC when absent). Date-only values
+ * ("2025-08-22") mark an all-day event.
+ */
+function parseEventTime(value, timeZone) {
+  const raw = String(value || '').trim();
+  const dateOnly = raw.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (dateOnly) return { allDay: true, date: `${dateOnly[1]}${dateOnly[2]}${dateOnly[3]}`, ms: Date.UTC(+dateOnly[1], +dateOnly[2] - 1, +dateOnly[3]) };
+  if (/(Z|[+-]\d{2}:?\d{2})$/i.test(raw)) {
+    const ms = Date.parse(raw);
+    return Number.isNaN(ms) ? null : { allDay: false, ms };
+  }
+  const m = raw.match(/^(\d{4})-(\d{2})-(\d{2})[T ](\d{2}):(\d{2})(?::(\d{2}))?$/);
+  if (!m) return null;
+  const wall = Date.UTC(+m[1], +m[2] - 1, +m[3], +m[4], +m[5], +(m[6] || 0));
+  if (!timeZone) return { allDay: false, ms: wall };
+  return { allDay: false, ms: wallClockToUtc(wall, timeZone) };
+}
+
+// Convert a wall-clock time (expressed as a UTC timestamp) in `timeZone` to the real instant
+function wallClockToUtc(wall, timeZone) {
+  // Two passes settle instants next to DST transitions
+  let ms = wall - tzOffsetMs(timeZone, wall);
+  ms = wall - tzOffsetMs(timeZone, ms);
+  // Wall times skipped by a spring-forward gap shift forward, using the offset before the gap
+  if (ms + tzOffsetMs(timeZone, ms) !== wall) ms = wall - tzOffsetMs(timeZone, ms - 3 * 60 * 60 * 1000);
+  return ms;
+}
+
+function parseOrganizer(organizer, fallbackName, fallbackEmail) {
+  if (organizer && typeof organizer === 'object') {
+    return { name: organizer.name || '', email: organizer.email || '' };
+  }
+  if (typeof organizer === 'string' && organizer.trim()) {
+    const m = organizer.match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+    if (m) return { name: m[1].replace(/^"|"$/g, ''), email: m[2] };
+    if (organizer.includes('@')) return { name: '', email: organizer.trim() };
+    return { name: organizer.trim(), email: fallbackEmail || '' };
+  }
+  return fallbackEmail ? { name: fallbackName || '', email: fallbackEmail } : null;
+}
+
+/**
+ * Validate and normalize an `event` config block.
+ * Returns { event } or { error }. `defaults` supplies the organizer fallback (sender).
+ */
+function normalizeEvent(cfg, defaults = {}) {
+  if (!cfg || typeof cfg !== 'object') return { error: 'invalid_event_config: event must be an object' };
+  const title = cfg.title || cfg.summary;
+  if (!title) return { error: 'invalid_event_config: missing title' };
+  const timeZone = cfg.timezone || cfg.time_zone || cfg.tz || '';
+  if (timeZone && !isValidTimeZone(timeZone)) return { error: `invalid_event_config: unknown timezone ${timeZone}` };
+  const start = parseEventTime(cfg.start, timeZone);
+  if (!start) return { error: 'invalid_event_config: start must be an ISO date or date-time' };
+  let end = cfg.end ? parseEventTime(cfg.end, timeZone) : null;
+  if (cfg.end && !end) return { error: 'invalid_event_config: end must be an ISO date or date-time' };
+  if (!end) {
+    end = start.allDay
+      ? { allDay: true, ms: start.ms + 24 * 60 * 60 * 1000 }
+      : { allDay: false, ms: start.ms + DEFAULT_DURATION_MS };
+    if (end.allDay) end.date = new Date(end.ms).toISOString().slice(0, 10).replace(/-/g, '');
+  }
+  if (start.allDay !== end.allDay) return { error: 'invalid_event_config: start and end must both be dates or both be date-times' };
+  if (end.ms <= start.ms) return { error: 'invalid_event_config: end must be after start' };
+  return {
+    event: {
+      title: String(title),
+      description: cfg.description ? String(cfg.description) : '',
+      location: cfg.location ? String(cfg.location) : '',
+      url: cfg.url ? String(cfg.url) : '',
+      timeZone,
+      start,
+      end,
+      organizer: parseOrganizer(cfg.organizer, defaults.organizerName, defaults.organizerEmail),
+      uid: cfg.uid ? String(cfg.uid) : '',
+      sequence: Number.isInteger(cfg.sequence) ? cfg.sequence : 0,
+      method: String(cfg.method || 'PUBLISH').toUpperCase(),
+    },
+  };
+}
+
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Fold content lines at 75 octets without splitting UTF-8 sequences
+function foldLine(line) {
+  if (Buffer.byteLength(line, 'utf8') <= 75) return line;
+  const out = [];
+  let current = '';
+  let bytes = 0;
+  for (const ch of line) {
+    const len = Buffer.byteLength(ch, 'utf8');
+    const limit = out.length ? 74 : 75; // continuation lines start with a space
+    if (bytes + len > limit) {
+      out.push(current);
+      current = '';
+      bytes = 0;
+    }
+    current += ch;
+    bytes += len;
+  }
+  out.push(current);
+  return out.join('\r\n ');
+}
+
+function formatUtc(ms) {
+  return new Date(ms).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+}
+
+function formatEventTime(name, t) {
+  return t.allDay ? `${name};VALUE=DATE:${t.date}` : `${name}:${formatUtc(t.ms)}`;
+}
+
+function buildUid(event, seed) {
+  if (event.uid) return event.uid;
+  const hash = crypto.createHash('sha1').update(`${seed || ''}|${event.title}|${event.start.ms}`).digest('hex').slice(0, 16);
+  return `${hash}@agent-email`;
+}
+
+/**
+ * Render a normalized event as an .ics document. `uidSeed` (e.g. the instance id) keeps the
+ * UID stable across regenerations so calendar clients update rather than duplicate the event.
+ */
+function buildIcs(event, { uidSeed, now } = {}) {
+  const description = [event.description, event.url].filter(Boolean).join('\n\n');
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//agent-email//Email Agent//EN',
+    'CALSCALE:GREGORIAN',
+    `METHOD:${event.method}`,
+    'BEGIN:VEVENT',
+    `UID:${buildUid(event, uidSeed)}`,
+    `DTSTAMP:${formatUtc(now || Date.now())}`,
+    formatEventTime('DTSTART', event.start),
+    formatEventTime('DTEND', event.end),
+    `SEQUENCE:${event.sequence}`,
+    `SUMMARY:${escapeText(event.title)}`,
+  ];
+  if (description) lines.push(`DESCRIPTION:${escapeText(description)}`);
+  if (event.location) lines.push(`LOCATION:${escapeText(event.location)}`);
+  if (event.url) lines.push(`URL:${event.url}`);
+  if (event.organizer && event.organizer.email) {
+    const cn = event.organizer.name ? `;CN="${event.organizer.name.replace(/"/g, "'")}"` : '';
+    lines.push(`ORGANIZER${cn}:mailto:${event.organizer.email}`);
+  }
+  lines.push('STATUS:CONFIRMED', 'TRANSP:OPAQUE', 'END:VEVENT', 'END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+function formatForHumans(t, timeZone) {
+  if (t.allDay) {
+    return new Intl.DateTimeFormat('en-US', { timeZone: 'UTC', dateStyle: 'full' }).format(new Date(t.ms));
+  }
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone: timeZone || 'UTC', weekday: 'long', year: 'numeric', month: 'long', day: 'numeric',
+    hour: 'numeric', minute: '2-digit', timeZoneName: 'short',
+  }).format(new Date(t.ms));
+}
+
+// Structured event details for the LLM prompt, so the HTML matches the attached invite
+function describeEventForPrompt(event) {
+  const lines = [
+    '[EVENT DETAILS - AUTHORITATIVE]',
+    'Use exactly these details in the email; a calendar invite with the same details is attached.',
+    `- Title: ${event.title}`,
+    `- Starts: ${formatForHumans(event.start, event.timeZone)}`,
+    // All-day DTEND is exclusive; show the last day of the event instead
+    `- Ends: ${formatForHumans(event.end.allDay ? { ...event.end, ms: event.end.ms - 24 * 60 * 60 * 1000 } : event.end, event.timeZone)}`,
+  ];
+  if (event.timeZone) lines.push(`- Time zone: ${event.timeZone}`);
+  if (event.location) lines.push(`- Location: ${event.location}`);
+  if (event.url) lines.push(`- Link: ${event.url}`);
+  if (event.organizer) {
+    const who = [event.organizer.name, event.organizer.email ? `<${event.organizer.email}>` : ''].filter(Boolean).join(' ');
+    if (who) lines.push(`- Organizer: ${who}`);
+  }
+  if (event.description) lines.push(`- Description: ${event.description}`);
+  lines.push('- Mention that a calendar invite (.ics) is attached.');
+  return lines.join('\n');
+}
+
+module.exports = { normalizeEvent, buildIcs, describeEventForPrompt, parseEventTime, isValidTimeZone, tzOffsetMs, wallClockToUtc };
@@ -0,0 +1,150 @@
+// Five-field cron expressions (minute hour day-of-month month day-of-week) for recurring runs
+const { isValidTimeZone, tzOffsetMs, wallClockToUtc } = require('./calendar');
+
+const MONTH_NAMES = ['JAN', 'FEB', 'MAR', 'APR', 'MAY', 'JUN', 'JUL', 'AUG', 'SEP', 'OCT', 'NOV', 'DEC'];
+const DAY_NAMES = ['SUN', 'MON', 'TUE', 'WED', 'THU', 'FRI', 'SAT'];
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day-of-month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12, names: MONTH_NAMES, nameBase: 1 },
+  { name: 'day-of-week', min: 0, max: 7, names: DAY_NAMES, nameBase: 0 },
+];
+
+const MACROS = {
+  '@yearly': '0 0 1 1 *',
+  '@annually': '0 0 1 1 *',
+  '@monthly': '0 0 1 * *',
+  '@weekly': '0 0 * * 0',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@hourly': '0 * * * *',
+};
+
+// Search horizon; long enough for Feb 29 schedules
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+
+function parseValue(token, field) {
+  const upper = token.toUpperCase();
+  if (field.names && field.names.includes(upper)) return field.names.indexOf(upper) + field.nameBase;
+  if (!/^\d+$/.test(token)) throw new Error(`invalid ${field.name} value "${token}"`);
+  const n = Number(token);
+  if (n < field.min || n > field.max) throw new Error(`${field.name} value ${n} out of range ${field.min}-${field.max}`);
+  return n;
+}
+
+// One field: lists (1,15), ranges (MON-FRI), steps (*/15, 8-18/2) and names
+function parseField(spec, field) {
+  const values = new Set();
+  spec.split(',').forEach((part) => {
+    const [range, stepRaw] = part.split('/');
+    const step = stepRaw === undefined ? 1 : Number(stepRaw);
+    if (!Number.isInteger(step) || step < 1) throw new Error(`invalid ${field.name} step "${part}"`);
+    let lo;
+    let hi;
+    if (range === '*') {
+      lo = field.min;
+      hi = field.max;
+    } else if (range.includes('-')) {
+      const [a, b] = range.split('-');
+      lo = parseValue(a, field);
+      hi = parseValue(b, field);
+      if (hi < lo) throw new Error(`invalid ${field.name} range "${range}"`);
+    } else {
+      lo = parseValue(range, field);
+      hi = stepRaw === undefined ? lo : field.max;
+    }
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  });
+  return values;
+}
+
+/**
+ * Parse a cron expression (or @daily/@weekly/... macro). Throws on invalid input.
+ * Day-of-month and day-of-week follow cron semantics: when both are restricted,
+ * a day matching either one qualifies. A field starting with `*` (a bare star or a star
+ * step) counts as unrestricted, so the other field alone decides.
+ */
+function parseCron(expr) {
+  const raw = String(expr || '').trim();
+  const normalized = MACROS[raw.toLowerCase()] || raw;
+  const parts = normalized.split(/\s+/);
+  if (parts.length !== 5) throw new Error(`expected 5 fields, got ${parts.length}`);
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    expr: raw,
+    minutes,
+    hours,
+    days,
+    months,
+    weekdays,
+    domRestricted: !parts[2].startsWith('*'),
+    dowRestricted: !parts[4].startsWith('*'),
+  };
+}
+
+function matchesDay(cron, y, m, d) {
+  const domOk = cron.days.has(d);
+  const dowOk = cron.weekdays.has(new Date(Date.UTC(y, m - 1, d)).getUTCDay());
+  if (cron.domRestricted && cron.dowRestricted) return domOk || dowOk;
+  return domOk && dowOk;
+}
+
+/**
+ * Next run strictly after `fromMs`, evaluated on the wall clock of `timeZone` (UTC when absent).
+ * Returns a UTC timestamp, or null when nothing matches within the search horizon.
+ */
+function nextRun(cron, fromMs, timeZone) {
+  const offset = timeZone ? tzOffsetMs(timeZone, fromMs) : 0;
+  let wall = Math.floor((fromMs + offset) / 60000) * 60000 + 60000;
+  const limit = wall + MAX_SEARCH_MS;
+  while (wall < limit) {
+    const d = new Date(wall);
+    const y = d.getUTCFullYear();
+    const mo = d.getUTCMonth() + 1;
+    const day = d.getUTCDate();
+    const h = d.getUTCHours();
+    if (!cron.months.has(mo)) {
+      wall = Date.UTC(y, mo, 1);
+      continue;
+    }
+    if (!matchesDay(cron, y, mo, day)) {
+      wall = Date.UTC(y, mo - 1, day + 1);
+      continue;
+    }
+    if (!cron.hours.has(h)) {
+      wall = Date.UTC(y, mo - 1, day, h + 1);
+      continue;
+    }
+    if (!cron.minutes.has(d.getUTCMinutes())) {
+      wall += 60000;
+      continue;
+    }
+    const at = timeZone ? wallClockToUtc(wall, timeZone) : wall;
+    if (at > fromMs) return at;
+    wall += 60000;
+  }
+  return null;
+}
+
+/**
+ * Read the instance `schedule` block: "0 9 * * MON" or { cron, timezone, enable }.
+ * Returns null when absent or disabled, { error } when invalid, else { cron, timezone, parsed }.
+ */
+function getRecurringConfig(base) {
+  const cfg = base && base.schedule;
+  if (!cfg) return null;
+  const spec = typeof cfg === 'string' ? { cron: cfg } : cfg;
+  if (spec.enable === false) return null;
+  const timezone = spec.timezone || spec.tz || '';
+  if (timezone && !isValidTimeZone(timezone)) return { error: `invalid_schedule: unknown timezone ${timezone}` };
+  try {
+    return { cron: String(spec.cron), timezone: timezone || null, parsed: parseCron(spec.cron) };
+  } catch (e) {
+    return { error: `invalid_schedule: ${e.message}` };
+  }
+}
+
+module.exports = { parseCron, nextRun, getRecurringConfig };
@@ -0,0 +1,316 @@
+// Inline <style> rules into style="" attributes for clients that drop stylesheets (Gmail,
+// Outlook). Rules that cannot be inlined (media queries, pseudo-classes, @font-face, ...)
+// stay in a single <style> block in <head>.
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const STYLE_BLOCK_RE = /<style\b([^>]*)>([\s\S]*?)<\/style\s*>/gi;
+const TAG_RE = /<!--[\s\S]*?-->|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const COMPOUND_RE = /^(\*|[a-zA-Z][\w-]*)?((?:#[\w-]+|\.[\w-]+|\[[^\]]+\])*)$/;
+
+/**
+ * Inlining settings from `email.inline_css` (env EMAIL_INLINE_CSS); on by default.
+ */
+function getCssInlineConfig(base) {
+  const emailCfg = (base && base.email) || {};
+  const raw = emailCfg.inline_css !== undefined ? emailCfg.inline_css : process.env.EMAIL_INLINE_CSS;
+  return { enabled: !(raw === false || /^(false|0|no|off)$/i.test(String(raw === undefined ? '' : raw))) };
+}
+
+// Index just past the `}` closing the block opened at css[open]; quotes are skipped
+function blockEnd(css, open) {
+  let depth = 0;
+  for (let i = open; i < css.length; i++) {
+    const ch = css[i];
+    if (ch === '"' || ch === "'") {
+      const close = css.indexOf(ch, i + 1);
+      i = close === -1 ? css.length : close;
+    } else if (ch === '{') {
+      depth++;
+    } else if (ch === '}') {
+      depth--;
+      if (depth === 0) return i + 1;
+    }
+  }
+  return css.length;
+}
+
+// Top-level statements: { selector, body } rules and { at } at-rules kept verbatim
+function parseStylesheet(css) {
+  const src = css.replace(/\/\*[\s\S]*?\*\//g, '');
+  const items = [];
+  let i = 0;
+  while (i < src.length) {
+    while (i < src.length && /\s/.test(src[i])) i++;
+    if (i >= src.length) break;
+    const brace = src.indexOf('{', i);
+    const semi = src.indexOf(';', i);
+    if (src[i] === '@' && semi !== -1 && (brace === -1 || semi < brace)) {
+      items.push({ at: src.slice(i, semi + 1).trim() });
+      i = semi + 1;
+      continue;
+    }
+    if (brace === -1) break;
+    const end = blockEnd(src, brace);
+    const prelude = src.slice(i, brace).trim();
+    if (prelude.startsWith('@')) items.push({ at: src.slice(i, end).trim() });
+    else if (prelude) items.push({ selector: prelude, body: src.slice(brace + 1, end - 1) });
+    i = end;
+  }
+  return items;
+}
+
+// Split on `sep` outside quotes and parentheses (url(data:...;base64,...) contains ';')
+function splitTopLevel(text, sep) {
+  const parts = [];
+  let depth = 0;
+  let quote = null;
+  let cur = '';
+  for (const ch of text) {
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth = Math.max(0, depth - 1);
+    } else if (ch === sep && depth === 0) {
+      parts.push(cur);
+      cur = '';
+      continue;
+    }
+    cur += ch;
+  }
+  parts.push(cur);
+  return parts.map(p => p.trim()).filter(Boolean);
+}
+
+function parseDeclarations(body) {
+  const decls = [];
+  splitTopLevel(body, ';').forEach((part) => {
+    const colon = part.indexOf(':');
+    if (colon <= 0) return;
+    let value = part.slice(colon + 1).trim();
+    const important = /!\s*important\s*$/i.test(value);
+    if (important) value = value.replace(/!\s*important\s*$/i, '').trim();
+    if (value) decls.push({ prop: part.slice(0, colon).trim().toLowerCase(), value, important });
+  });
+  return decls;
+}
+
+function parseAttrSelector(text) {
+  const m = text.match(/^\s*([\w-]+)\s*(?:([~^$*|]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?\s*$/);
+  if (!m) return null;
+  const value = m[3] !== undefined ? m[3] : m[4] !== undefined ? m[4] : m[5];
+  return { name: m[1].toLowerCase(), op: m[2] || null, value };
+}
+
+/**
+ * Parse one selector into compounds joined by descendant (' ') or child ('>') combinators.
+ * Returns null for what cannot be inlined: pseudo-classes/elements, sibling combinators.
+ */
+function parseSelector(selector) {
+  if (/[:+~]/.test(selector.replace(/\[[^\]]*\]/g, '[]'))) return null;
+  const tokens = selector.replace(/\s*>\s*/g, ' > ').trim().split(/\s+/);
+  const parts = [];
+  let combinator = ' ';
+  for (const tok of tokens) {
+    if (tok === '>') {
+      combinator = '>';
+      continue;
+    }
+    const m = tok.match(COMPOUND_RE);
+    if (!m || !tok) return null;
+    const compound = { tag: m[1] && m[1] !== '*' ? m[1].toLowerCase() : null, ids: [], classes: [], attrs: [], combinator };
+    const simple = m[2].match(/#[\w-]+|\.[\w-]+|\[[^\]]+\]/g) || [];
+    for (const s of simple) {
+      if (s[0] === '#') compound.ids.push(s.slice(1));
+      else if (s[0] === '.') compound.classes.push(s.slice(1));
+      else {
+        const attr = parseAttrSelector(s.slice(1, -1));
+        if (!attr) return null;
+        compound.attrs.push(attr);
+      }
+    }
+    parts.push(compound);
+    combinator = ' ';
+  }
+  if (!parts.length) return null;
+  const specificity = parts.reduce((acc, p) => [
+    acc[0] + p.ids.length,
+    acc[1] + p.classes.length + p.attrs.length,
+    acc[2] + (p.tag ? 1 : 0),
+  ], [0, 0, 0]);
+  return { parts, specificity };
+}
+
+function matchAttr(node, { name, op, value }) {
+  if (!Object.prototype.hasOwnProperty.call(node.attrs, name)) return false;
+  const actual = node.attrs[name];
+  switch (op) {
+    case null: return true;
+    case '=': return actual === value;
+    case '~=': return actual.split(/\s+/).includes(value);
+    case '^=': return !!value && actual.startsWith(value);
+    case '$=': return !!value && actual.endsWith(value);
+    case '*=': return !!value && actual.includes(value);
+    case '|=': return actual === value || actual.startsWith(`${value}-`);
+    default: return false;
+  }
+}
+
+function matchCompound(node, c) {
+  if (c.tag && node.name !== c.tag) return false;
+  if (c.ids.some(id => node.attrs.id !== id)) return false;
+  if (c.classes.some(cls => !node.classes.has(cls))) return false;
+  return c.attrs.every(a => matchAttr(node, a));
+}
+
+// Right-to-left match with backtracking over descendant combinators
+function matchParts(node, parts, idx) {
+  if (!matchCompound(node, parts[idx])) return false;
+  if (idx === 0) return true;
+  const { combinator } = parts[idx];
+  let anc = node.parent;
+  while (anc && anc.name) {
+    if (matchParts(anc, parts, idx - 1)) return true;
+    if (combinator === '>') return false;
+    anc = anc.parent;
+  }
+  return false;
+}
+
+function decodeAttr(value) {
+  return value.replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+function parseAttrs(text) {
+  const list = [];
+  let m;
+  ATTR_RE.lastIndex = 0;
+  while ((m = ATTR_RE.exec(text))) {
+    const raw = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4];
+    list.push({ name: m[1].toLowerCase(), value: raw === undefined ? null : decodeAttr(raw) });
+  }
+  return list;
+}
+
+// Element tree over tag segments; segments keep the original text so untouched tags round-trip
+function buildTree(html) {
+  const segments = [];
+  const root = { name: null, parent: null };
+  const elements = [];
+  let cur = root;
+  let last = 0;
+  let m;
+  TAG_RE.lastIndex = 0;
+  while ((m = TAG_RE.exec(html))) {
+    if (m.index > last) segments.push({ text: html.slice(last, m.index) });
+    last = TAG_RE.lastIndex;
+    const seg = { text: m[0] };
+    segments.push(seg);
+    if (!m[2]) continue;
+    const name = m[2].toLowerCase();
+    if (m[1]) {
+      let n = cur;
+      while (n && n.name && n.name !== name) n = n.parent;
+      if (n && n.name) cur = n.parent;
+      continue;
+    }
+    const attrList = parseAttrs(m[3] || '');
+    const attrs = {};
+    attrList.forEach((a) => { attrs[a.name] = a.value === null ? '' : a.value; });
+    const node = {
+      name,
+      attrList,
+      attrs,
+      classes: new Set((attrs.class || '').split(/\s+/).filter(Boolean)),
+      parent: cur,
+      segment: seg,
+      selfClosing: !!m[4],
+      inHead: name === 'head' || !!(cur && cur.inHead),
+    };
+    elements.push(node);
+    if (!VOID_ELEMENTS.has(name) && !m[4]) cur = node;
+  }
+  if (last < html.length) segments.push({ text: html.slice(last) });
+  return { segments, elements };
+}
+
+function serializeTag(node, style) {
+  const attrs = node.attrList.filter(a => a.name !== 'style');
+  const out = attrs.map(a => (a.value === null ? a.name : `${a.name}="${a.value.replace(/&/g, '&amp;').replace(/"/g, '&quot;')}"`));
+  // Quote font names with ' so the attribute keeps plain double quotes
+  out.push(`style="${style.replace(/"/g, "'")}"`);
+  return `<${node.name} ${out.join(' ')}${node.selfClosing ? ' /' : ''}>`;
+}
+
+/**
+ * Inline stylesheet rules. Returns { html, inlined, elements, kept }: the number of rules
+ * inlined, elements that received styles, and rules kept in <head>. `<style data-inline="false">`
+ * blocks and blocks with a `media` attribute are left alone.
+ */
+function inlineCss(html) {
+  const rules = [];
+  const kept = [];
+  let order = 0;
+  let stripped = String(html || '').replace(STYLE_BLOCK_RE, (whole, attrs, css) => {
+    if (/\bdata-inline\s*=\s*["']?false/i.test(attrs) || /\bmedia\s*=/i.test(attrs)) return whole;
+    parseStylesheet(css).forEach((item) => {
+      if (item.at) {
+        kept.push(item.at);
+        return;
+      }
+      const decls = parseDeclarations(item.body);
+      const notInlined = [];
+      splitTopLevel(item.selector, ',').forEach((sel) => {
+        const parsed = decls.length ? parseSelector(sel) : null;
+        if (parsed) rules.push({ ...parsed, decls, order: order++ });
+        else notInlined.push(sel);
+      });
+      if (notInlined.length && decls.length) kept.push(`${notInlined.join(', ')} { ${item.body.trim()} }`);
+    });
+    return '';
+  });
+  if (!rules.length) return { html, inlined: 0, elements: 0, kept: kept.length };
+
+  const { segments, elements } = buildTree(stripped);
+  const used = new Set();
+  let styled = 0;
+  elements.forEach((node) => {
+    if (node.inHead) return;
+    const matched = [];
+    rules.forEach((rule) => {
+      if (matchParts(node, rule.parts, rule.parts.length - 1)) {
+        matched.push(rule);
+        used.add(rule);
+      }
+    });
+    if (!matched.length) return;
+    const cmp = (a, b) => a.specificity[0] - b.specificity[0] || a.specificity[1] - b.specificity[1] || a.specificity[2] - b.specificity[2] || a.order - b.order;
+    matched.sort(cmp);
+    const computed = new Map();
+    const apply = (d, weight) => {
+      const prev = computed.get(d.prop);
+      if (prev && prev.important && !d.important) return;
+      computed.delete(d.prop); // re-insert so later winners keep declaration order
+      computed.set(d.prop, { value: d.value, important: d.important, weight });
+    };
+    matched.forEach(rule => rule.decls.forEach(d => apply(d, 'sheet')));
+    // Existing inline style beats the stylesheet unless the sheet says !important
+    parseDeclarations(node.attrs.style || '').forEach(d => apply(d, 'inline'));
+    const style = Array.from(computed.entries()).map(([prop, d]) => `${prop}: ${d.value}${d.important && d.weight === 'inline' ? ' !important' : ''}`).join('; ');
+    node.segment.text = serializeTag(node, `${style};`);
+    styled++;
+  });
+
+  stripped = segments.map(s => s.text).join('');
+  if (kept.length) {
+    const block = `<style>\n${kept.join('\n')}\n</style>\n`;
+    stripped = /<\/head>/i.test(stripped) ? stripped.replace(/<\/head>/i, `${block}</head>`) : block + stripped;
+  }
+  return { html: stripped, inlined: used.size, elements: styled, kept: kept.length };
+}
+
+module.exports = { inlineCss, getCssInlineConfig };
@@ -0,0 +1,160 @@
+// Per-instance delivery ledger (deliveries.json): one entry per recipient address, updated
+// as each message goes out so an interrupted send can be resumed without re-sending.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const LEDGER_FILE = 'deliveries.json';
+const DEFAULT_BATCH_PAUSE_MS = 1000;
+
+function readNumber(cfgValue, envValue, fallback) {
+  const n = Number(cfgValue !== undefined ? cfgValue : envValue);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+/**
+ * Batching settings from `email.batch_size` / `email.batch_pause_ms`
+ * (env EMAIL_BATCH_SIZE / EMAIL_BATCH_PAUSE_MS). batch_size 0 disables batching.
+ */
+function getBatchConfig(base) {
+  const emailCfg = (base && base.email) || {};
+  const size = Math.floor(readNumber(emailCfg.batch_size, process.env.EMAIL_BATCH_SIZE, 0));
+  return {
+    size,
+    pauseMs: readNumber(emailCfg.batch_pause_ms, process.env.EMAIL_BATCH_PAUSE_MS, size ? DEFAULT_BATCH_PAUSE_MS : 0),
+  };
+}
+
+/**
+ * Split recipients into delivery units (one message each).
+ *  - mail-merge: one unit per row
+ *  - batched: one unit per address (to, cc and bcc alike)
+ *  - otherwise: a single unit carrying to/cc/bcc as configured
+ */
+function planDeliveries({ toList, ccList, bccList, merge, batched }) {
+  if (merge) return merge.rows.map(row => ({ to: [row.email], cc: [], bcc: [], row: row.index }));
+  if (batched) {
+    const seen = new Set();
+    return [...toList, ...ccList, ...bccList]
+      .filter((addr) => {
+        const key = addr.toLowerCase();
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .map(addr => ({ to: [addr], cc: [], bcc: [] }));
+  }
+  return [{ to: toList, cc: ccList, bcc: bccList }];
+}
+
+function contentHash(subject, html) {
+  return crypto.createHash('sha256').update(`${subject || ''}\n${html || ''}`).digest('hex').slice(0, 16);
+}
+
+function ledgerPath(rootDir) {
+  return path.join(rootDir, LEDGER_FILE);
+}
+
+function createLedger(units, { subject, html, mode, batch }) {
+  const now = new Date().toISOString();
+  const recipients = [];
+  units.forEach((unit, idx) => {
+    ['to', 'cc', 'bcc'].forEach((field) => {
+      unit[field].forEach((email) => {
+        const entry = { unit: idx, email, field, status: 'pending' };
+        if (unit.row !== undefined) entry.row = unit.row;
+        recipients.push(entry);
+      });
+    });
+  });
+  return {
+    id: crypto.randomBytes(6).toString('hex'),
+    mode,
+    content_hash: contentHash(subject, html),
+    batch_size: batch.size,
+    batch_pause_ms: batch.pauseMs,
+    started_at: now,
+    updated_at: now,
+    recipients,
+  };
+}
+
+function readLedger(rootDir) {
+  const p = ledgerPath(rootDir);
+  if (!fs.existsSync(p)) return null;
+  try {
+    const ledger = JSON.parse(fs.readFileSync(p, 'utf8'));
+    return ledger && Array.isArray(ledger.recipients) ? ledger : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+function writeLedger(rootDir, ledger) {
+  ledger.updated_at = new Date().toISOString();
+  fs.writeFileSync(ledgerPath(rootDir), JSON.stringify(ledger, null, 2), 'utf8');
+}
+
+// Units that still need sending: pending or failed entries regrouped by unit
+function pendingUnits(ledger) {
+  const byUnit = new Map();
+  ledger.recipients.forEach((entry) => {
+    if (entry.status !== 'pending' && entry.status !== 'failed') return;
+    if (!byUnit.has(entry.unit)) {
+      const unit = { unit: entry.unit, to: [], cc: [], bcc: [] };
+      if (entry.row !== undefined) unit.row = entry.row;
+      byUnit.set(entry.unit, unit);
+    }
+    byUnit.get(entry.unit)[entry.field || 'to'].push(entry.email);
+  });
+  return Array.from(byUnit.values()).sort((a, b) => a.unit - b.unit);
+}
+
+// Record the outcome for every address of a unit
+function markUnit(ledger, unitIdx, status, details = {}) {
+  const at = new Date().toISOString();
+  ledger.recipients.forEach((entry) => {
+    if (entry.unit !== unitIdx) return;
+    entry.status = status;
+    entry.attempted_at = at;
+    ['id', 'error', 'missing', 'batch'].forEach((k) => {
+      if (details[k] !== undefined) entry[k] = details[k];
+      else if (k === 'error') delete entry.error;
+    });
+    if (status === 'failed') entry.attempts = (entry.attempts || 0) + 1;
+  });
+}
+
+function summarizeLedger(ledger) {
+  const summary = { total: ledger.recipients.length, sent: 0, failed: 0, skipped: 0, pending: 0 };
+  ledger.recipients.forEach((entry) => {
+    if (summary[entry.status] !== undefined) summary[entry.status] += 1;
+  });
+  return summary;
+}
+
+// Per-recipient outcomes for meta.json `merge_results` (mail-merge sends)
+function mergeResults(ledger) {
+  return ledger.recipients.map((entry) => {
+    const result = { row: entry.row, email: entry.email, status: entry.status };
+    ['id', 'error', 'missing'].forEach((k) => {
+      if (entry[k] !== undefined) result[k] = entry[k];
+    });
+    if (entry.status === 'sent') result.sent_at = entry.attempted_at;
+    return result;
+  });
+}
+
+module.exports = {
+  getBatchConfig,
+  planDeliveries,
+  contentHash,
+  createLedger,
+  readLedger,
+  writeLedger,
+  pendingUnits,
+  markUnit,
+  summarizeLedger,
+  mergeResults,
+  LEDGER_FILE,
+};
@@ -0,0 +1,51 @@
+// In-process event hub for live instance updates (status changes, progress, LLM tokens and
+// partial HTML) relayed by the SSE stream endpoint. Nothing is persisted: subscribers only see
+// events published after they connect, plus the live generation snapshot kept here.
+const { EventEmitter } = require('events');
+
+const hub = new EventEmitter();
+hub.setMaxListeners(0);
+
+// Instance ids are caller-chosen, so they are prefixed before use as event names: an instance
+// called "error" must not trigger EventEmitter's unhandled-error throw
+function channel(instanceId) {
+  return `instance:${instanceId}`;
+}
+
+// instanceId -> { attempt, repair, provider, model, started_at, text } while an LLM reply streams
+const liveGenerations = new Map();
+
+function publish(instanceId, type, data) {
+  if (!instanceId) return;
+  hub.emit(channel(instanceId), { type, data: data || {}, at: new Date().toISOString() });
+}
+
+// True while at least one client is connected to the instance's stream
+function hasSubscribers(instanceId) {
+  return !!instanceId && hub.listenerCount(channel(instanceId)) > 0;
+}
+
+// Returns an unsubscribe function
+function subscribe(instanceId, listener) {
+  hub.on(channel(instanceId), listener);
+  return () => hub.removeListener(channel(instanceId), listener);
+}
+
+function setLiveGeneration(instanceId, state) {
+  if (instanceId) liveGenerations.set(instanceId, state);
+}
+
+function getLiveGeneration(instanceId) {
+  return liveGenerations.get(instanceId) || null;
+}
+
+function clearLiveGeneration(instanceId) {
+  liveGenerations.delete(instanceId);
+}
+
+// One Server-Sent Events frame; data is JSON on a single line
+function formatSse(event, data) {
+  return `event: ${event}\ndata: ${JSON.stringify(data)}\n\n`;
+}
+
+module.exports = { publish, subscribe, hasSubscribers, setLiveGeneration, getLiveGeneration, clearLiveGeneration, formatSse };
@@ -1,22 +1,10 @@
 const { google } = require('googleapis');
+const { buildMime } = require('./mime');
 
 function base64url(input) {
   return Buffer.from(input).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
 }
 
-function buildMime({ fromName, fromEmail, to, cc, bcc, subject, html }) {
-  const headers = [];
-  headers.push(`From: ${fromName ? `${fromName} <${fromEmail}>` : fromEmail}`);
-  headers.push(`To: ${to.join(', ')}`);
-  if (cc && cc.length) headers.push(`Cc: ${cc.join(', ')}`);
-  if (bcc && bcc.length) headers.push(`Bcc: ${bcc.join(', ')}`);
-  headers.push('MIME-Version: 1.0');
-  headers.push('Content-Type: text/html; charset=UTF-8');
-  headers.push(`Subject: ${subject}`);
-  const message = headers.join('\r\n') + '\r\n\r\n' + html;
-  return base64url(message);
-}
-
 function getOAuth2Client() {
   const clientId = process.env.GMAIL_CLIENT_ID;
   const clientSecret = process.env.GMAIL_CLIENT_SECRET;
@@ -30,10 +18,10 @@ function getOAuth2Client() {
   return oAuth2Client;
 }
 
-async function sendEmail({ fromName, fromEmail, to, cc = [], bcc = [], subject, html }) {
+async function sendEmail({ fromName, fromEmail, to, cc = [], bcc = [], subject, html, text, attachments, inlineImages }) {
   const auth = getOAuth2Client();
   const gmail = google.gmail({ version: 'v1', auth });
-  const raw = buildMime({ fromName, fromEmail, to, cc, bcc, subject, html });
+  const raw = base64url(buildMime({ fromName, fromEmail, to, cc, bcc, subject, html, text, attachments, inlineImages }));
   const res = await gmail.users.messages.send({
     userId: 'me',
     requestBody: { raw },
@@ -41,4 +29,4 @@ async function sendEmail({ fromName, fromEmail, to, cc = [], bcc = [], subject,
   return res.data;
 }
 
-module.exports = { sendEmail };
+module.exports = { sendEmail, buildMime };
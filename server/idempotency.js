@@ -0,0 +1,69 @@
+// Send de-duplication. Every send is recorded in meta.json `sends` when it starts, with the
+// client's Idempotency-Key (if any), a hash of recipients, subject and HTML and the id of its
+// delivery ledger, so a retried request or a duplicated approval within the window returns the
+// original send id, or finishes an incomplete send, instead of mailing everyone again.
+// Records: { key?, hash, ledger, status: 'in_progress' | 'partial' | 'sent', id?, at }.
+const crypto = require('crypto');
+
+const DEFAULT_WINDOW_MS = 24 * 60 * 60 * 1000;
+const MAX_RECORDS = 50;
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Window from `email.idempotency_window_ms` (env EMAIL_IDEMPOTENCY_WINDOW_MS), default 24h.
+ * 0 turns de-duplication off.
+ */
+function getIdempotencyConfig(base) {
+  const emailCfg = (base && base.email) || {};
+  const raw = emailCfg.idempotency_window_ms !== undefined ? emailCfg.idempotency_window_ms : process.env.EMAIL_IDEMPOTENCY_WINDOW_MS;
+  const windowMs = Number(raw);
+  return { windowMs: raw !== undefined && raw !== '' && Number.isFinite(windowMs) && windowMs >= 0 ? windowMs : DEFAULT_WINDOW_MS };
+}
+
+// Key from the Idempotency-Key header or `idempotency_key` field: { key } (undefined when
+// absent) or { error } for an empty or over-long value
+function readIdempotencyKey(headers, fields) {
+  const header = headers && headers['idempotency-key'];
+  const raw = header !== undefined ? header : fields && fields.idempotency_key;
+  if (raw === undefined || raw === null) return { key: undefined };
+  const key = String(raw).trim();
+  if (!key || key.length > MAX_KEY_LENGTH) return { error: `invalid_idempotency_key: expected 1-${MAX_KEY_LENGTH} characters` };
+  return { key };
+}
+
+// Recipient order and case do not change the hash
+function sendFingerprint({ to, cc, bcc, subject, html }) {
+  const list = values => (values || []).map(v => String(v).trim().toLowerCase()).sort();
+  const material = JSON.stringify({ to: list(to), cc: list(cc), bcc: list(bcc), subject: subject || '', html: html || '' });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+// Records written before statuses existed have an id and count as sent
+function sendComplete(record) {
+  return !!record && (record.status ? record.status === 'sent' : !!record.id);
+}
+
+function withinWindow(record, windowMs, now) {
+  return now - Date.parse(record.at) < windowMs;
+}
+
+// Most recent send in the window with the same key (checked first) or, when `hash` is given,
+// the same content; null when there is none
+function findRecentSend(records, { key, hash }, windowMs, now = Date.now()) {
+  if (!windowMs) return null;
+  const recent = (records || []).filter(r => r && (r.id || r.status) && withinWindow(r, windowMs, now)).reverse();
+  return (key && recent.find(r => r.key === key)) || (hash && recent.find(r => r.hash === hash)) || null;
+}
+
+// Append a send record, dropping ones that left the window (newest MAX_RECORDS kept)
+function recordSend(records, entry, windowMs, now = Date.now()) {
+  const kept = (records || []).filter(r => r && withinWindow(r, windowMs, now));
+  return kept.concat({ ...entry, at: new Date(now).toISOString() }).slice(-MAX_RECORDS);
+}
+
+// Apply `changes` to the record of the send that owns delivery ledger `ledgerId`
+function updateSendRecord(records, ledgerId, changes) {
+  return (records || []).map(r => (r && ledgerId && r.ledger === ledgerId ? { ...r, ...changes } : r));
+}
+
+module.exports = { getIdempotencyConfig, readIdempotencyKey, sendFingerprint, sendComplete, findRecentSend, recordSend, updateSendRecord };
@@ -0,0 +1,91 @@
+// Embed local images (instance assets/ folder or data: URIs) as multipart/related parts
+// referenced via cid:, so they render without remote image loading.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { detectMimeType } = require('./attachments');
+
+const ASSETS_DIR = 'assets';
+const IMG_SRC_RE = /(<img\b[^>]*?\bsrc\s*=\s*)(["'])([^"']*)\2/gi;
+
+function shortHash(buf) {
+  return crypto.createHash('sha1').update(buf).digest('hex').slice(0, 12);
+}
+
+function parseDataUri(src) {
+  const m = src.match(/^data:([^;,]+)?((?:;[^;,]+)*?)(;base64)?,([\s\S]*)$/i);
+  if (!m) return null;
+  const contentType = (m[1] || 'application/octet-stream').toLowerCase();
+  if (!contentType.startsWith('image/')) return null;
+  const content = m[3] ? Buffer.from(m[4], 'base64') : Buffer.from(decodeURIComponent(m[4]), 'utf8');
+  const ext = contentType.split('/')[1].split('+')[0];
+  return { contentType, content, filename: `image-${shortHash(content)}.${ext}` };
+}
+
+function resolveAssetPath(src, rootDir) {
+  const clean = src.replace(/&amp;/g, '&').split(/[?#]/)[0];
+  if (!/^(\.\/|\/)?assets\//i.test(clean)) return null;
+  const assetsRoot = path.resolve(rootDir, ASSETS_DIR);
+  let rel;
+  try { rel = decodeURIComponent(clean.replace(/^(\.\/|\/)?assets\//i, '')); } catch (_) { return null; }
+  const abs = path.resolve(assetsRoot, rel);
+  if (!abs.startsWith(assetsRoot + path.sep)) return null;
+  return abs;
+}
+
+/**
+ * Rewrite <img> sources that point at files under `<rootDir>/assets/` or carry data: URIs
+ * to cid: references. Returns { html, inlineImages, warnings }; the input HTML is not modified.
+ * `maxBytes` skips (and warns about) oversized images, leaving their src untouched.
+ */
+function embedInlineImages(html, rootDir, { maxBytes } = {}) {
+  const inlineImages = [];
+  const warnings = [];
+  const byKey = new Map();
+  if (!html) return { html: html || '', inlineImages, warnings };
+
+  function register(key, image) {
+    if (byKey.has(key)) return byKey.get(key).cid;
+    const cid = `img-${inlineImages.length + 1}-${shortHash(image.content)}@agent-email`;
+    const entry = { ...image, cid, size: image.content.length };
+    byKey.set(key, entry);
+    inlineImages.push(entry);
+    return cid;
+  }
+
+  const rewritten = String(html).replace(IMG_SRC_RE, (match, prefix, quote, src) => {
+    const trimmed = src.trim();
+    if (/^data:/i.test(trimmed)) {
+      const image = parseDataUri(trimmed);
+      if (!image) {
+        warnings.push('unsupported data URI in <img>');
+        return match;
+      }
+      if (maxBytes && image.content.length > maxBytes) {
+        warnings.push(`inline data URI image too large (${image.content.length} bytes)`);
+        return match;
+      }
+      return `${prefix}${quote}cid:${register(`data:${shortHash(image.content)}`, image)}${quote}`;
+    }
+    const abs = rootDir ? resolveAssetPath(trimmed, rootDir) : null;
+    if (!abs) return match;
+    let stat;
+    try { stat = fs.statSync(abs); } catch (_) { stat = null; }
+    if (!stat || !stat.isFile()) {
+      warnings.push(`inline image not found: ${trimmed}`);
+      return match;
+    }
+    if (maxBytes && stat.size > maxBytes) {
+      warnings.push(`inline image too large: ${trimmed} (${stat.size} bytes)`);
+      return match;
+    }
+    if (byKey.has(abs)) return `${prefix}${quote}cid:${byKey.get(abs).cid}${quote}`;
+    const content = fs.readFileSync(abs);
+    const filename = path.basename(abs);
+    return `${prefix}${quote}cid:${register(abs, { filename, contentType: detectMimeType(filename, content), content })}${quote}`;
+  });
+
+  return { html: rewritten, inlineImages, warnings };
+}
+
+module.exports = { embedInlineImages };
@@ -0,0 +1,117 @@
+// Per-instance run lock: a lockfile in the instance state folder (`.lock`) naming the owning
+// process and an expiry. Mutating routes hold it for the length of their work so two runs can
+// never overwrite artifacts or send for the same instance at once.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const LOCK_FILE = '.lock';
+const DEFAULT_TTL_MS = 2 * 60 * 1000;
+
+// Lock lifetime without a refresh (INSTANCE_LOCK_TTL_MS); held locks are refreshed at a third of it
+function getLockTtlMs() {
+  const ttl = Number(process.env.INSTANCE_LOCK_TTL_MS);
+  return Number.isFinite(ttl) && ttl >= 1000 ? ttl : DEFAULT_TTL_MS;
+}
+
+function readLock(lockPath) {
+  try {
+    return JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+function pidAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (e) {
+    return e.code === 'EPERM';
+  }
+}
+
+// Why an existing lock may be taken over, or null while it is valid. Unreadable files (a crash
+// between create and write) count as stale.
+function staleReason(holder) {
+  if (!holder || !holder.expires_at) return 'unreadable lockfile';
+  if (Date.parse(holder.expires_at) <= Date.now()) return `expired at ${holder.expires_at}`;
+  if (holder.host === os.hostname() && holder.pid && !pidAlive(holder.pid)) return `owner pid ${holder.pid} is gone`;
+  return null;
+}
+
+/**
+ * Take the lock for the instance state folder `stateDir`. Returns { lock } on success or
+ * { busy: holder } when another live run holds it; stale locks are replaced (and reported as
+ * `lock.recovered`). `owner` labels the holder in 409 responses, e.g. "generate-send".
+ */
+function acquireInstanceLock(stateDir, owner) {
+  const lockPath = path.join(stateDir, LOCK_FILE);
+  const ttlMs = getLockTtlMs();
+  let recovered = null;
+  for (let tries = 0; tries < 2; tries++) {
+    const now = Date.now();
+    const lock = {
+      token: crypto.randomBytes(8).toString('hex'),
+      owner,
+      pid: process.pid,
+      host: os.hostname(),
+      acquired_at: new Date(now).toISOString(),
+      expires_at: new Date(now + ttlMs).toISOString(),
+    };
+    try {
+      // 'wx' fails when the file exists, so only one contender can create it
+      fs.writeFileSync(lockPath, JSON.stringify(lock, null, 2), { encoding: 'utf8', flag: 'wx' });
+    } catch (e) {
+      if (e.code !== 'EEXIST') throw e;
+      const holder = readLock(lockPath);
+      const reason = staleReason(holder);
+      if (!reason) return { busy: holder };
+      recovered = { reason, previous: holder };
+      // Re-check right before removing so a lock another process just took over survives
+      const again = readLock(lockPath);
+      if (again && holder && again.token !== holder.token) continue;
+      try { fs.unlinkSync(lockPath); } catch (_) { /* another contender removed it first */ }
+      continue;
+    }
+    const held = { ...lock, path: lockPath, recovered };
+    held.timer = setInterval(() => refreshInstanceLock(held), Math.max(500, Math.floor(ttlMs / 3)));
+    held.timer.unref();
+    return { lock: held };
+  }
+  return { busy: readLock(lockPath) };
+}
+
+// Push the expiry out; no-op once the file is gone or belongs to someone else
+function refreshInstanceLock(held) {
+  const current = readLock(held.path);
+  if (!current || current.token !== held.token) return false;
+  current.expires_at = new Date(Date.now() + getLockTtlMs()).toISOString();
+  const tmp = `${held.path}.${process.pid}.tmp`;
+  try {
+    fs.writeFileSync(tmp, JSON.stringify(current, null, 2), 'utf8');
+    fs.renameSync(tmp, held.path);
+    return true;
+  } catch (_) {
+    return false;
+  }
+}
+
+function releaseInstanceLock(held) {
+  if (!held || held.released) return;
+  held.released = true;
+  clearInterval(held.timer);
+  const current = readLock(held.path);
+  if (current && current.token === held.token) {
+    try { fs.unlinkSync(held.path); } catch (_) { /* already gone */ }
+  }
+}
+
+// Holder details safe to return to clients
+function describeLock(holder) {
+  if (!holder) return null;
+  return { owner: holder.owner, pid: holder.pid, host: holder.host, acquired_at: holder.acquired_at, expires_at: holder.expires_at };
+}
+
+module.exports = { acquireInstanceLock, releaseInstanceLock, describeLock, LOCK_FILE };
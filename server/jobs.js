@@ -0,0 +1,185 @@
+// Durable job queue for async work (generate, send, generate-send, HITL modify). Every job is
+// a JSON record on disk, so work accepted with 202 survives a restart: queued jobs run after
+// startup, and jobs cut off mid-run are either resumed or handed to their `onInterrupted`.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DEFAULT_CONCURRENCY = 2;
+const DEFAULT_RETENTION_DAYS = 7;
+const RECOVERY_MODES = ['auto', 'resume', 'abort'];
+const FINAL_STATUSES = ['done', 'failed', 'interrupted'];
+
+const handlers = new Map();
+const queue = { dir: null, concurrency: DEFAULT_CONCURRENCY, running: 0, pending: [] };
+
+/**
+ * Queue settings from env: JOB_CONCURRENCY (workers, default 2), JOB_RECOVERY (auto | resume |
+ * abort, default auto) and JOB_RETENTION_DAYS (finished records kept, default 7).
+ */
+function getJobQueueConfig() {
+  const concurrency = Number(process.env.JOB_CONCURRENCY);
+  const retention = Number(process.env.JOB_RETENTION_DAYS);
+  const recovery = String(process.env.JOB_RECOVERY || 'auto').trim().toLowerCase();
+  return {
+    concurrency: Number.isInteger(concurrency) && concurrency > 0 ? concurrency : DEFAULT_CONCURRENCY,
+    recovery: RECOVERY_MODES.includes(recovery) ? recovery : 'auto',
+    retentionDays: Number.isFinite(retention) && retention >= 0 ? retention : DEFAULT_RETENTION_DAYS,
+  };
+}
+
+function initJobQueue({ dir, concurrency }) {
+  queue.dir = dir;
+  queue.concurrency = concurrency || DEFAULT_CONCURRENCY;
+  fs.mkdirSync(dir, { recursive: true });
+}
+
+/**
+ * `run(job)` does the work; a throw marks the job `failed`. `resumable` jobs interrupted by a
+ * restart are queued again under JOB_RECOVERY=auto; the others go to `onInterrupted(job)`.
+ */
+function registerJobHandler(type, { run, resumable = false, onInterrupted }) {
+  handlers.set(type, { run, resumable, onInterrupted });
+}
+
+function jobPath(id) {
+  return path.join(queue.dir, `${id}.json`);
+}
+
+// Temp file + rename: a crash never leaves a half-written record behind
+function writeJob(job) {
+  job.updated_at = new Date().toISOString();
+  const target = jobPath(job.id);
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(job, null, 2), 'utf8');
+  fs.renameSync(tmp, target);
+}
+
+function readJob(id) {
+  try {
+    return JSON.parse(fs.readFileSync(jobPath(id), 'utf8'));
+  } catch (_) {
+    return null;
+  }
+}
+
+// Job records, oldest first; filter by instance_id and/or status
+function listJobs({ instanceId, status } = {}) {
+  if (!queue.dir) return [];
+  let names = [];
+  try {
+    names = fs.readdirSync(queue.dir).filter(n => n.endsWith('.json'));
+  } catch (_) {
+    return [];
+  }
+  return names
+    .map(n => readJob(n.slice(0, -5)))
+    .filter(job => job && (!instanceId || job.instance_id === instanceId) && (!status || job.status === status))
+    .sort((a, b) => String(a.created_at).localeCompare(String(b.created_at)) || a.id.localeCompare(b.id));
+}
+
+function newJobId() {
+  return `${new Date().toISOString().replace(/[-:.]/g, '')}-${crypto.randomBytes(4).toString('hex')}`;
+}
+
+// Persist a job and schedule it; returns the record
+function enqueueJob(type, instanceId, payload) {
+  if (!queue.dir) throw new Error('job queue not initialized');
+  if (!handlers.has(type)) throw new Error(`unknown job type "${type}"`);
+  const job = {
+    id: newJobId(),
+    type,
+    instance_id: instanceId,
+    payload: payload || {},
+    status: 'queued',
+    runs: 0,
+    created_at: new Date().toISOString(),
+  };
+  writeJob(job);
+  queue.pending.push(job.id);
+  setImmediate(pump);
+  return job;
+}
+
+function pump() {
+  while (queue.running < queue.concurrency && queue.pending.length) {
+    runJob(queue.pending.shift());
+  }
+}
+
+async function runJob(id) {
+  const job = readJob(id);
+  if (!job || job.status !== 'queued') return;
+  const handler = handlers.get(job.type);
+  queue.running += 1;
+  Object.assign(job, { status: 'running', started_at: new Date().toISOString(), pid: process.pid, runs: (job.runs || 0) + 1 });
+  try {
+    writeJob(job);
+    if (!handler) throw new Error(`unknown job type "${job.type}"`);
+    await handler.run(job);
+    job.status = 'done';
+    job.error = null;
+  } catch (e) {
+    job.status = 'failed';
+    job.error = e && e.message ? e.message : String(e);
+  } finally {
+    job.finished_at = new Date().toISOString();
+    try {
+      writeJob(job);
+    } catch (e) {
+      console.log(`[jobs] unable to record job ${job.id}: ${e.message}`);
+    }
+    queue.running -= 1;
+    setImmediate(pump);
+  }
+}
+
+/**
+ * Startup recovery. Jobs still `queued` run again. Jobs left `running` by a previous process
+ * are re-queued when `mode` is "resume" (or "auto" and the type is resumable); otherwise they
+ * become `interrupted` and their handler's onInterrupted reports it. Finished records older
+ * than `retentionDays` are deleted. Returns { queued, resumed, interrupted } job ids.
+ */
+function recoverJobs({ mode = 'auto', retentionDays = DEFAULT_RETENTION_DAYS } = {}) {
+  const result = { queued: [], resumed: [], interrupted: [] };
+  const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+  listJobs().forEach((job) => {
+    if (FINAL_STATUSES.includes(job.status)) {
+      if (Date.parse(job.finished_at || job.updated_at) < cutoff) {
+        try { fs.unlinkSync(jobPath(job.id)); } catch (_) { /* already gone */ }
+      }
+      return;
+    }
+    if (job.status === 'queued') {
+      result.queued.push(job.id);
+      queue.pending.push(job.id);
+      return;
+    }
+    const handler = handlers.get(job.type);
+    if (mode === 'resume' || (mode === 'auto' && handler && handler.resumable)) {
+      Object.assign(job, { status: 'queued', recovered_at: new Date().toISOString() });
+      writeJob(job);
+      result.resumed.push(job.id);
+      queue.pending.push(job.id);
+      return;
+    }
+    Object.assign(job, {
+      status: 'interrupted',
+      error: `server restarted while the job was running (pid ${job.pid}, started ${job.started_at})`,
+      finished_at: new Date().toISOString(),
+    });
+    writeJob(job);
+    result.interrupted.push(job.id);
+    if (handler && handler.onInterrupted) {
+      try {
+        handler.onInterrupted(job);
+      } catch (e) {
+        console.log(`[jobs] onInterrupted failed for ${job.id}: ${e.message}`);
+      }
+    }
+  });
+  setImmediate(pump);
+  return result;
+}
+
+module.exports = { getJobQueueConfig, initJobQueue, registerJobHandler, enqueueJob, listJobs, recoverJobs };
@@ -0,0 +1,210 @@
+// Pre-send lint for generated email HTML: accessibility, Gmail clipping, placeholder links,
+// unsubscribe/footer, preheader and inline color contrast. Pure checks; no I/O.
+
+const GMAIL_CLIP_BYTES = 102 * 1024;
+const SIZE_WARN_RATIO = 0.9;
+const MAX_EXAMPLES = 5;
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr']);
+const TAG_RE = /<!--[\s\S]*?-->|<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>|<(\/?)([a-zA-Z][a-zA-Z0-9:-]*)((?:\s+[^\s"'>/=]+(?:\s*=\s*(?:"[^"]*"|'[^']*'|[^\s"'=<>`]+))?)*)\s*(\/?)>/g;
+const ATTR_RE = /([^\s"'>/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+const PLACEHOLDER_HOSTS = /^(www\.)?(example\.(com|org|net)|yourdomain\.com|yourcompany\.com|domain\.com|your-?website\.com)$/i;
+const NAMED_COLORS = {
+  black: [0, 0, 0], white: [255, 255, 255], red: [255, 0, 0], green: [0, 128, 0], blue: [0, 0, 255],
+  yellow: [255, 255, 0], gray: [128, 128, 128], grey: [128, 128, 128], silver: [192, 192, 192],
+  orange: [255, 165, 0], navy: [0, 0, 128], purple: [128, 0, 128], teal: [0, 128, 128],
+  maroon: [128, 0, 0], lightgray: [211, 211, 211], lightgrey: [211, 211, 211], darkgray: [169, 169, 169],
+  darkgrey: [169, 169, 169], whitesmoke: [245, 245, 245], gainsboro: [220, 220, 220],
+};
+
+/**
+ * Lint settings from the instance `lint` block: { enable, block_on_error, max_bytes }.
+ * Env LINT_BLOCK_ON_ERROR=true blocks sends on lint errors when config does not say.
+ */
+function getLintConfig(base) {
+  const cfg = (base && base.lint) || {};
+  const blockRaw = cfg.block_on_error !== undefined ? cfg.block_on_error : process.env.LINT_BLOCK_ON_ERROR;
+  const maxBytes = Number(cfg.max_bytes);
+  return {
+    enabled: cfg.enable !== false,
+    blockOnError: blockRaw === true || /^(true|1|yes|on)$/i.test(String(blockRaw || '')),
+    maxBytes: Number.isFinite(maxBytes) && maxBytes > 0 ? maxBytes : GMAIL_CLIP_BYTES,
+  };
+}
+
+function parseAttrs(text) {
+  const attrs = {};
+  let m;
+  ATTR_RE.lastIndex = 0;
+  while ((m = ATTR_RE.exec(text || ''))) {
+    const raw = m[2] !== undefined ? m[2] : m[3] !== undefined ? m[3] : m[4];
+    attrs[m[1].toLowerCase()] = raw === undefined ? '' : raw.replace(/&quot;/g, '"').replace(/&amp;/g, '&');
+  }
+  return attrs;
+}
+
+function styleProps(style) {
+  const props = {};
+  String(style || '').split(';').forEach((decl) => {
+    const i = decl.indexOf(':');
+    if (i > 0) props[decl.slice(0, i).trim().toLowerCase()] = decl.slice(i + 1).replace(/!\s*important/i, '').trim();
+  });
+  return props;
+}
+
+function parseColor(value) {
+  if (!value) return null;
+  const v = String(value).trim().toLowerCase();
+  let m = v.match(/^#([0-9a-f]{3}|[0-9a-f]{6})\b/);
+  if (m) {
+    const hex = m[1].length === 3 ? m[1].split('').map(c => c + c).join('') : m[1];
+    return [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+  }
+  m = v.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)/);
+  if (m) return m[4] !== undefined && Number(m[4]) < 1 ? null : [m[1], m[2], m[3]].map(Number);
+  return NAMED_COLORS[v] || null;
+}
+
+// Background color from style (background-color, or a plain `background` shorthand) or bgcolor.
+// undefined = not set (inherit); null = set but unknown (gradient, image), which skips contrast checks.
+function backgroundOf(attrs, props) {
+  if (props['background-color']) return parseColor(props['background-color']);
+  if (props.background) {
+    if (/gradient|url\(/i.test(props.background)) return null;
+    const first = props.background.match(/#[0-9a-f]{3,6}\b|rgba?\([^)]*\)|[a-z]+/i);
+    return first ? parseColor(first[0]) : null;
+  }
+  return attrs.bgcolor ? parseColor(attrs.bgcolor) : undefined;
+}
+
+function luminance([r, g, b]) {
+  const ch = (c) => {
+    const s = c / 255;
+    return s <= 0.03928 ? s / 12.92 : ((s + 0.055) / 1.055) ** 2.4;
+  };
+  return 0.2126 * ch(r) + 0.7152 * ch(g) + 0.0722 * ch(b);
+}
+
+function contrastRatio(a, b) {
+  const [hi, lo] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+  return (hi + 0.05) / (lo + 0.05);
+}
+
+function textOf(html) {
+  return html.replace(/<(script|style)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, ' ').replace(/<[^>]+>/g, ' ').replace(/&nbsp;/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Link target problems; null when fine. {{field}} merge placeholders are accepted.
+function checkHref(href) {
+  const value = String(href).trim();
+  if (!value || value === '#' || /^#\s*$/.test(value)) return { rule: 'placeholder_link', message: 'link points to "#" or is empty' };
+  if (/\{\{[^}]+\}\}/.test(value)) return null;
+  if (/^javascript:/i.test(value)) return { rule: 'malformed_link', message: 'javascript: link' };
+  if (/^(mailto|tel|cid|sms):/i.test(value)) return null;
+  if (/^#/.test(value)) return null;
+  if (!/^https?:\/\//i.test(value)) return { rule: 'malformed_link', message: 'link is not an absolute http(s) URL' };
+  let url;
+  try {
+    url = new URL(value);
+  } catch (_) {
+    return { rule: 'malformed_link', message: 'link URL does not parse' };
+  }
+  if (/\s/.test(value)) return { rule: 'malformed_link', message: 'link URL contains whitespace' };
+  if (PLACEHOLDER_HOSTS.test(url.hostname)) return { rule: 'placeholder_link', message: `placeholder domain ${url.hostname}` };
+  if (/^(localhost|127\.0\.0\.1|0\.0\.0\.0)$/i.test(url.hostname)) return { rule: 'placeholder_link', message: `local address ${url.hostname}` };
+  return null;
+}
+
+/**
+ * Lint email HTML. Returns { passed, errors, warnings, size_bytes, issues: [{ rule, severity,
+ * message, count, examples }] } with issues of the same rule grouped.
+ */
+function lintEmailHtml(html, options = {}) {
+  const source = String(html || '');
+  const maxBytes = options.maxBytes || GMAIL_CLIP_BYTES;
+  const grouped = new Map();
+  const report = (rule, severity, message, example) => {
+    const key = `${rule}:${message}`;
+    if (!grouped.has(key)) grouped.set(key, { rule, severity, message, count: 0, examples: [] });
+    const entry = grouped.get(key);
+    entry.count += 1;
+    if (example && entry.examples.length < MAX_EXAMPLES) entry.examples.push(example.length > 160 ? `${example.slice(0, 157)}...` : example);
+  };
+
+  const sizeBytes = Buffer.byteLength(source, 'utf8');
+  if (sizeBytes > maxBytes) {
+    report('size', 'error', `HTML is ${Math.round(sizeBytes / 1024)}KB; Gmail clips messages over ${Math.round(maxBytes / 1024)}KB`);
+  } else if (sizeBytes > maxBytes * SIZE_WARN_RATIO) {
+    report('size', 'warning', `HTML is ${Math.round(sizeBytes / 1024)}KB, close to Gmail's ${Math.round(maxBytes / 1024)}KB clipping limit`);
+  }
+
+  // Walk tags with an ancestor stack so contrast checks can see inherited backgrounds
+  const stack = [{ name: '#root', bg: [255, 255, 255] }];
+  let hasPreheader = false;
+  let hasFooter = /<footer\b/i.test(source);
+  let m;
+  TAG_RE.lastIndex = 0;
+  while ((m = TAG_RE.exec(source))) {
+    if (!m[3]) continue;
+    const name = m[3].toLowerCase();
+    if (m[2]) {
+      const idx = stack.map(s => s.name).lastIndexOf(name);
+      if (idx > 0) stack.length = idx;
+      continue;
+    }
+    const attrs = parseAttrs(m[4]);
+    const props = styleProps(attrs.style);
+    const marker = `${attrs.class || ''} ${attrs.id || ''}`;
+    if (/pre-?header|preview-?text/i.test(marker)) hasPreheader = true;
+    if (!hasPreheader && /display\s*:\s*none/i.test(attrs.style || '') && /^(div|span|p)$/.test(name) && stack.some(s => s.name === 'body')) {
+      const close = source.indexOf(`</${name}`, TAG_RE.lastIndex);
+      if (close !== -1 && textOf(source.slice(TAG_RE.lastIndex, close))) hasPreheader = true;
+    }
+    if (/footer/i.test(marker)) hasFooter = true;
+
+    if (name === 'img') {
+      if (attrs.alt === undefined) report('missing_alt', 'warning', '<img> without alt text', attrs.src || '(no src)');
+    } else if (name === 'a' && attrs.href !== undefined) {
+      const problem = checkHref(attrs.href);
+      if (problem) report(problem.rule, 'error', problem.message, attrs.href || '(empty)');
+    }
+
+    const parentBg = stack[stack.length - 1].bg;
+    const ownBg = backgroundOf(attrs, props);
+    const bg = ownBg === undefined ? parentBg : ownBg;
+    const fg = parseColor(props.color);
+    if (fg && bg) {
+      const ratio = contrastRatio(fg, bg);
+      if (ratio < 3) report('contrast', 'error', 'text color contrast below 3:1', `<${name}> color ${props.color} on ${rgbHex(bg)} (${ratio.toFixed(2)}:1)`);
+      else if (ratio < 4.5) report('contrast', 'warning', 'text color contrast below 4.5:1 (WCAG AA)', `<${name}> color ${props.color} on ${rgbHex(bg)} (${ratio.toFixed(2)}:1)`);
+    }
+    if (!VOID_ELEMENTS.has(name) && !m[5]) stack.push({ name, bg });
+  }
+
+  const text = textOf(source);
+  if (!/unsubscribe|opt[\s-]?out|manage (your )?(email )?preferences|email preferences/i.test(text) && !/href\s*=\s*["'][^"']*unsubscribe/i.test(source)) {
+    report('missing_unsubscribe', 'warning', 'no unsubscribe or opt-out link');
+  }
+  if (!hasFooter && !/©|&copy;|copyright/i.test(source)) {
+    report('missing_footer', 'warning', 'no footer (sender details / copyright) found');
+  }
+  if (!hasPreheader) {
+    report('missing_preheader', 'warning', 'no preheader (hidden preview text at the top of <body>)');
+  }
+
+  const issues = Array.from(grouped.values());
+  const errors = issues.filter(i => i.severity === 'error').reduce((n, i) => n + i.count, 0);
+  const warnings = issues.filter(i => i.severity === 'warning').reduce((n, i) => n + i.count, 0);
+  return { passed: errors === 0, errors, warnings, size_bytes: sizeBytes, max_bytes: maxBytes, issues };
+}
+
+function rgbHex(rgb) {
+  return `#${rgb.map(c => c.toString(16).padStart(2, '0')).join('')}`;
+}
+
+// One-line summary for progress, e.g. "lint: 1 error(s), 2 warning(s) (placeholder_link, missing_alt)"
+function describeLintReport(lint) {
+  const rules = Array.from(new Set(lint.issues.map(i => i.rule)));
+  return `lint: ${lint.errors} error(s), ${lint.warnings} warning(s)${rules.length ? ` (${rules.join(', ')})` : ''}`;
+}
+
+module.exports = { lintEmailHtml, getLintConfig, describeLintReport, GMAIL_CLIP_BYTES };
@@ -0,0 +1,60 @@
+// Content-addressed cache of LLM generations. The key is a SHA-256 over provider, endpoint,
+// model, options, structured-output mode and the wrapped prompt, so an identical request replays the
+// stored reply instead of querying the model again.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const CACHE_MODES = ['use', 'refresh', 'off'];
+
+/**
+ * Cache mode for a request: `requested` (the request's `cache` field), else LLM_CACHE, else
+ * "off". Returns { mode, dir } or { error } for an unknown mode. "use" reads and writes,
+ * "refresh" skips the lookup but stores the new reply, "off" bypasses the cache.
+ */
+function getCacheConfig(requested, defaultDir) {
+  const raw = requested !== undefined && requested !== null && requested !== '' ? requested : process.env.LLM_CACHE;
+  const mode = raw === true ? 'use' : raw === false ? 'off' : String(raw || 'off').trim().toLowerCase();
+  if (!CACHE_MODES.includes(mode)) return { error: `invalid_cache_mode: expected one of ${CACHE_MODES.join(', ')}` };
+  return { mode, dir: process.env.LLM_CACHE_DIR || defaultDir };
+}
+
+// JSON with sorted object keys, so option order does not change the key
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().filter(k => value[k] !== undefined).map(k => `${JSON.stringify(k)}:${stableStringify(value[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function cacheKey({ provider, endpoint, model, options, structured, prompt }) {
+  const material = stableStringify({ provider, endpoint: endpoint || null, model: model || null, options: options || {}, structured: !!structured, prompt });
+  return crypto.createHash('sha256').update(material).digest('hex');
+}
+
+function entryPath(dir, key) {
+  return path.join(dir, key.slice(0, 2), `${key}.json`);
+}
+
+// Stored entry or null (missing or unreadable entries are misses)
+function readCache(dir, key) {
+  try {
+    const entry = JSON.parse(fs.readFileSync(entryPath(dir, key), 'utf8'));
+    return entry && entry.key === key && entry.result ? entry : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Write through a temp file so a concurrent reader never sees a partial entry
+function writeCache(dir, key, request, result) {
+  const target = entryPath(dir, key);
+  fs.mkdirSync(path.dirname(target), { recursive: true });
+  const tmp = `${target}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify({ key, created_at: new Date().toISOString(), request, result }, null, 2), 'utf8');
+  fs.renameSync(tmp, target);
+  return target;
+}
+
+module.exports = { CACHE_MODES, getCacheConfig, cacheKey, readCache, writeCache };
@@ -1,19 +1,59 @@
 const http = require('http');
 const https = require('https');
+const { cacheKey, readCache, writeCache } = require('./llm-cache');
 
 const REASONING_PREAMBLE = `You are a careful assistant. Return ONLY JSON per the schema. No hidden chain-of-thought. Explicitly describe your plan and provide a reasoning and thought summary. In your reasoning, include key_facts, key_instructions, assumptions, and uncertainty_level.`;
 
-const OUTPUT_CONTRACT_SCHEMA = `{
-  "reasoning": {
-    "summary": "<string>",
-    "key_facts": "<string>",
-    "key_instructions": "<string>",
-    "policy_rules_applied": "<string>",
-    "assumptions": "<string>",
-    "uncertainty_level": "<low | medium | high>"
+// The output contract as JSON Schema. The prompt template below and each provider's native
+// structured-output request (Ollama `format`, OpenAI `response_format`, Anthropic tool input)
+// are all derived from this one definition.
+const OUTPUT_JSON_SCHEMA = {
+  type: 'object',
+  properties: {
+    reasoning: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string' },
+        key_facts: { type: 'string' },
+        key_instructions: { type: 'string' },
+        policy_rules_applied: { type: 'string' },
+        assumptions: { type: 'string' },
+        uncertainty_level: { type: 'string', enum: ['low', 'medium', 'high'] },
+      },
+      required: ['summary', 'key_facts', 'key_instructions', 'policy_rules_applied', 'assumptions', 'uncertainty_level'],
+      additionalProperties: false,
+    },
+    answer: { type: 'string', description: 'The complete HTML email' },
   },
-  "answer": "<string>"
-}`;
+  required: ['reasoning', 'answer'],
+  additionalProperties: false,
+};
+const OUTPUT_SCHEMA_NAME = 'reasoned_email';
+
+// Placeholder template of a schema ("<string>", "<low | medium | high>") for the prompt
+function schemaTemplate(schema) {
+  if (schema.type === 'object') {
+    return Object.fromEntries(Object.entries(schema.properties).map(([k, v]) => [k, schemaTemplate(v)]));
+  }
+  return schema.enum ? `<${schema.enum.join(' | ')}>` : `<${schema.type}>`;
+}
+
+const OUTPUT_CONTRACT_SCHEMA = JSON.stringify(schemaTemplate(OUTPUT_JSON_SCHEMA), null, 2);
+
+/**
+ * Whether to request native structured output (LLM_STRUCTURED_OUTPUT, default on). Turn it off
+ * for servers or models that reject `format` / `response_format` / tools.
+ */
+function structuredOutputEnabled(override) {
+  const raw = override !== undefined ? override : process.env.LLM_STRUCTURED_OUTPUT;
+  return !(raw === false || /^(false|0|no|off)$/i.test(String(raw === undefined ? '' : raw)));
+}
+
+// Stream replies token by token when the caller passes onStream; LLM_STREAM=false turns it off
+function streamingEnabled(override) {
+  const raw = override !== undefined ? override : process.env.LLM_STREAM;
+  return !(raw === false || /^(false|0|no|off)$/i.test(String(raw === undefined ? '' : raw)));
+}
 
 function ensureJsonString(input) {
   if (!input) throw new Error('Empty response from LLM');
@@ -59,16 +99,76 @@ function extractHtmlFromOutput(text) {
   return lines.join('\n').trim() || text.trim();
 }
 
+// Pull the `answer` out of output that broke the contract: valid JSON missing other fields,
+// or JSON truncated mid-answer. Falls back to the raw text.
+function salvageAnswer(text) {
+  const raw = String(text || '');
+  try {
+    const payload = JSON.parse(ensureJsonString(raw));
+    if (payload && typeof payload.answer === 'string') return payload.answer;
+  } catch (_) {
+    // not parseable as a whole; try the answer string alone
+  }
+  const m = raw.match(/"answer"\s*:\s*"((?:[^"\\]|\\.)*)/);
+  if (m) {
+    const body = m[1].replace(/\\$/, '');
+    try {
+      return JSON.parse(`"${body}"`);
+    } catch (_) {
+      return body.replace(/\\n/g, '\n').replace(/\\t/g, '\t').replace(/\\"/g, '"').replace(/\\\\/g, '\\');
+    }
+  }
+  return raw;
+}
+
+// HTML generated so far while a reply is still streaming; '' until the answer has started
+function partialAnswer(text) {
+  const raw = String(text || '');
+  if (/^\s*(```(json)?\s*)?\{/i.test(raw) && !/"answer"\s*:\s*"/.test(raw)) return '';
+  return extractHtmlFromOutput(salvageAnswer(raw));
+}
+
+// HTML recovered from a broken response, or '' when there is nothing worth sending to review
+function fallbackHtml(text) {
+  let html = extractHtmlFromOutput(salvageAnswer(text));
+  // Drop chatter around the document ("Sure, here is the email: <html>...")
+  const start = html.search(/<!DOCTYPE|<html[\s>]/i);
+  if (start > 0) html = html.slice(start);
+  const end = html.search(/<\/html>/i);
+  if (end !== -1) html = html.slice(0, end + 7);
+  if (!/<(html|body|table|div|p|h[1-6])[\s>]/i.test(html)) return '';
+  const visible = html.replace(/<(script|style)\b[\s\S]*?<\/\1>/gi, ' ').replace(/<[^>]+>/g, ' ').trim();
+  return visible ? html : '';
+}
+
+function buildRepairPrompt(wrappedPrompt, previousOutput, parseError) {
+  const previous = String(previousOutput || '').slice(0, 8000);
+  return `${wrappedPrompt}\n\nYour previous response could not be used: ${parseError}\n`
+    + `Previous response:\n${previous || '(empty)'}\n\n`
+    + 'Reply again with ONLY a single complete JSON object matching the schema above. Put the full HTML email in "answer" as one JSON string.';
+}
+
 function buildReasoningPrompt(userPrompt) {
   const header = `${REASONING_PREAMBLE}\nReturn ONLY JSON that conforms exactly to this schema:\n${OUTPUT_CONTRACT_SCHEMA}`;
   return `${header}\n\nCaller prompt:\n${userPrompt}`;
 }
 
-function httpJson({ method = 'POST', endpoint, path: p, headers = {}, body }) {
-  return new Promise((resolve, reject) => {
-    const isHttps = endpoint.startsWith('https://');
-    const u = new URL(endpoint);
-    const opts = {
+const DEFAULT_TIMEOUT_MS = 120000;
+// Network failures worth retrying (besides timeouts, 5xx and 429)
+const RETRYABLE_CODES = new Set(['ETIMEDOUT', 'ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'EAI_AGAIN', 'ENOTFOUND', 'EHOSTUNREACH', 'ENETUNREACH', 'ESOCKETTIMEDOUT']);
+
+function readMs(value, envValue, fallback) {
+  const n = Number(value !== undefined ? value : envValue);
+  return Number.isFinite(n) && n >= 0 ? n : fallback;
+}
+
+function requestOptions({ method, endpoint, path: p, headers }) {
+  const isHttps = endpoint.startsWith('https://');
+  const u = new URL(endpoint);
+  return {
+    mod: isHttps ? https : http,
+    host: u.host,
+    opts: {
       method,
       hostname: u.hostname,
       port: u.port || (isHttps ? 443 : 80),
@@ -77,8 +177,20 @@ function httpJson({ method = 'POST', endpoint, path: p, headers = {}, body }) {
         'content-type': 'application/json',
         ...headers,
       },
-    };
-    const mod = isHttps ? https : http;
+    },
+  };
+}
+
+function timeoutError(host, timeoutMs, idle) {
+  const err = new Error(`LLM request to ${host} ${idle ? 'sent nothing for' : 'timed out after'} ${timeoutMs}ms`);
+  err.code = 'ETIMEDOUT';
+  return err;
+}
+
+// Whole-request timeout; 0 disables it. HTTP errors carry `status`, timeouts `code: 'ETIMEDOUT'`.
+function httpJson({ method = 'POST', endpoint, path: p, headers = {}, body, timeoutMs = readMs(undefined, process.env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS) }) {
+  return new Promise((resolve, reject) => {
+    const { mod, host, opts } = requestOptions({ method, endpoint, path: p, headers });
     const req = mod.request(opts, (res) => {
       let data = '';
       res.on('data', (c) => (data += c));
@@ -86,66 +198,287 @@ function httpJson({ method = 'POST', endpoint, path: p, headers = {}, body }) {
         if (res.statusCode >= 200 && res.statusCode < 300) {
           try { resolve(JSON.parse(data || '{}')); } catch (e) { resolve({}); }
         } else {
-          reject(new Error(`HTTP ${res.statusCode}: ${data}`));
+          const err = new Error(`HTTP ${res.statusCode}: ${data}`);
+          err.status = res.statusCode;
+          reject(err);
         }
       });
     });
+    const timer = timeoutMs ? setTimeout(() => req.destroy(timeoutError(host, timeoutMs, false)), timeoutMs) : null;
+    req.on('close', () => clearTimeout(timer));
     req.on('error', reject);
     if (body) req.write(JSON.stringify(body));
     req.end();
   });
 }
 
-async function generateWithOllama({ endpoint, model, prompt, options = {} }) {
-  const resolvedEndpoint = endpoint || process.env.LLM_ENDPOINT || 'http://127.0.0.1:11434';
-  const resolvedModel = model || process.env.LLM_MODEL || 'llama3.1';
-  // Use non-streaming generate API for simplicity
-  const resp = await httpJson({
+/**
+ * Streaming variant of httpJson: `onLine` gets each non-empty line of the response body
+ * (NDJSON or SSE). The timeout applies to silence between chunks, so long generations that
+ * keep producing tokens are not cut off. Unparseable lines are skipped; other errors thrown by
+ * `onLine` abort the request.
+ */
+function httpStream({ method = 'POST', endpoint, path: p, headers = {}, body, onLine, timeoutMs = readMs(undefined, process.env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS) }) {
+  return new Promise((resolve, reject) => {
+    const { mod, host, opts } = requestOptions({ method, endpoint, path: p, headers });
+    let timer = null;
+    const arm = () => {
+      clearTimeout(timer);
+      if (timeoutMs) timer = setTimeout(() => req.destroy(timeoutError(host, timeoutMs, true)), timeoutMs);
+    };
+    const req = mod.request(opts, (res) => {
+      res.setEncoding('utf8');
+      if (res.statusCode < 200 || res.statusCode >= 300) {
+        let data = '';
+        res.on('data', (c) => (data += c));
+        res.on('end', () => {
+          const err = new Error(`HTTP ${res.statusCode}: ${data}`);
+          err.status = res.statusCode;
+          reject(err);
+        });
+        return;
+      }
+      let buf = '';
+      const emit = (line) => {
+        try {
+          onLine(line);
+        } catch (e) {
+          if (!(e instanceof SyntaxError)) req.destroy(e);
+        }
+      };
+      res.on('data', (chunk) => {
+        arm();
+        buf += chunk;
+        let nl;
+        while ((nl = buf.indexOf('\n')) !== -1) {
+          const line = buf.slice(0, nl).trim();
+          buf = buf.slice(nl + 1);
+          if (line) emit(line);
+        }
+      });
+      res.on('end', () => {
+        if (buf.trim()) emit(buf.trim());
+        resolve();
+      });
+      res.on('error', reject);
+    });
+    arm();
+    req.on('close', () => clearTimeout(timer));
+    req.on('error', reject);
+    if (body) req.write(JSON.stringify(body));
+    req.end();
+  });
+}
+
+// SSE `data:` payload of a line, parsed; null for comments, event names and [DONE]
+function sseData(line) {
+  if (!line.startsWith('data:')) return null;
+  const data = line.slice(5).trim();
+  return data && data !== '[DONE]' ? JSON.parse(data) : null;
+}
+
+// Token counts normalized across providers; null when the server reported none
+function normalizeUsage(input, output) {
+  const n = (v) => (Number.isFinite(Number(v)) && v !== null && v !== undefined ? Number(v) : undefined);
+  const inputTokens = n(input);
+  const outputTokens = n(output);
+  if (inputTokens === undefined && outputTokens === undefined) return null;
+  return { input_tokens: inputTokens || 0, output_tokens: outputTokens || 0 };
+}
+
+// Accumulate a chat-completions SSE stream (OpenAI and compatible servers). Usage arrives in
+// a final chunk with empty `choices` when the server honors stream_options.include_usage.
+async function streamChatCompletions(request, onToken) {
+  let text = '';
+  let model;
+  let usage = null;
+  await httpStream({
+    ...request,
+    body: { ...request.body, stream: true, stream_options: { include_usage: true } },
+    onLine: (line) => {
+      const chunk = sseData(line);
+      if (!chunk) return;
+      if (chunk.error) throw new Error(`LLM stream error: ${chunk.error.message || JSON.stringify(chunk.error)}`);
+      model = chunk.model || model;
+      if (chunk.usage) usage = normalizeUsage(chunk.usage.prompt_tokens, chunk.usage.completion_tokens);
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        text += delta;
+        onToken(delta);
+      }
+    },
+  });
+  return { text, model, usage };
+}
+
+function ollamaTarget({ endpoint, model } = {}) {
+  return { endpoint: endpoint || 'http://127.0.0.1:11434', model: model || 'llama3.1' };
+}
+
+async function generateWithOllama({ endpoint, model, prompt, options = {}, structured = false, timeoutMs, onToken }) {
+  const { endpoint: resolvedEndpoint, model: resolvedModel } = ollamaTarget({ endpoint, model });
+  const request = {
     endpoint: resolvedEndpoint,
     path: '/api/generate',
+    timeoutMs,
     body: {
       model: resolvedModel,
       prompt,
-      stream: false,
+      stream: !!onToken,
+      // Ollama constrains decoding to a JSON schema passed as `format`
+      ...(structured ? { format: OUTPUT_JSON_SCHEMA } : {}),
       options: { temperature: 0.3, ...options },
     },
-  });
+  };
+  if (onToken) {
+    // NDJSON: one { response, done } object per line
+    let text = '';
+    let usage = null;
+    await httpStream({
+      ...request,
+      onLine: (line) => {
+        const chunk = JSON.parse(line);
+        if (chunk.error) throw new Error(`Ollama stream error: ${chunk.error}`);
+        if (chunk.response) {
+          text += chunk.response;
+          onToken(chunk.response);
+        }
+        // The final `done` line carries the counts
+        if (chunk.done) usage = normalizeUsage(chunk.prompt_eval_count, chunk.eval_count);
+      },
+    });
+    return { text, model: resolvedModel, usage };
+  }
+  const resp = await httpJson(request);
   const text = resp.response || '';
-  return { text, model: resolvedModel };
+  return { text, model: resolvedModel, usage: normalizeUsage(resp.prompt_eval_count, resp.eval_count) };
 }
 
-async function generateWithOpenAI({ apiKey, model, prompt, options = {} }) {
-  apiKey = apiKey || process.env.OPENAI_API_KEY;
-  const resolvedModel = model || process.env.LLM_MODEL || 'gpt-4o-mini';
-  if (!apiKey) throw new Error('Missing OPENAI_API_KEY for OpenAI provider');
+// Chat-completions request body shared by OpenAI and OpenAI-compatible servers
+function chatCompletionsBody({ model, prompt, options = {}, structured }) {
   // Map generic options into OpenAI fields when available
   const temperature = options.temperature ?? 0.3;
   const top_p = options.top_p;
   const presence_penalty = options.presence_penalty;
   const frequency_penalty = options.frequency_penalty;
-  const resp = await httpJson({
+  return {
+    model,
+    messages: [
+      { role: 'user', content: prompt },
+    ],
+    temperature,
+    ...(top_p !== undefined ? { top_p } : {}),
+    ...(presence_penalty !== undefined ? { presence_penalty } : {}),
+    ...(frequency_penalty !== undefined ? { frequency_penalty } : {}),
+    ...(options.max_tokens !== undefined ? { max_tokens: options.max_tokens } : {}),
+    ...(structured ? {
+      response_format: {
+        type: 'json_schema',
+        json_schema: { name: OUTPUT_SCHEMA_NAME, strict: true, schema: OUTPUT_JSON_SCHEMA },
+      },
+    } : {}),
+  };
+}
+
+async function listOllamaModels({ endpoint } = {}) {
+  const resp = await httpJson({ method: 'GET', endpoint: ollamaTarget({ endpoint }).endpoint, path: '/api/tags' });
+  return (resp.models || []).map(m => m.name);
+}
+
+function openAITarget({ model } = {}) {
+  return { endpoint: 'https://api.openai.com', model: model || 'gpt-4o-mini' };
+}
+
+async function generateWithOpenAI({ apiKey, model, prompt, options = {}, structured = false, timeoutMs, onToken }) {
+  apiKey = apiKey || process.env.OPENAI_API_KEY;
+  const resolvedModel = openAITarget({ model }).model;
+  if (!apiKey) throw new Error('Missing OPENAI_API_KEY for OpenAI provider');
+  const request = {
     endpoint: 'https://api.openai.com',
     path: '/v1/chat/completions',
     headers: { Authorization: `Bearer ${apiKey}` },
-    body: {
-      model: resolvedModel,
-      messages: [
-        { role: 'user', content: prompt },
-      ],
-      temperature,
-      ...(top_p !== undefined ? { top_p } : {}),
-      ...(presence_penalty !== undefined ? { presence_penalty } : {}),
-      ...(frequency_penalty !== undefined ? { frequency_penalty } : {}),
-    },
-  });
+    timeoutMs,
+    body: chatCompletionsBody({ model: resolvedModel, prompt, options, structured }),
+  };
+  if (onToken) {
+    const streamed = await streamChatCompletions(request, onToken);
+    return { text: streamed.text, model: streamed.model || resolvedModel, usage: streamed.usage };
+  }
+  const resp = await httpJson(request);
   const text = resp.choices?.[0]?.message?.content || '';
-  return { text, model: resp.model || resolvedModel };
+  return { text, model: resp.model || resolvedModel, usage: resp.usage ? normalizeUsage(resp.usage.prompt_tokens, resp.usage.completion_tokens) : null };
 }
 
-async function generateWithAnthropic({ apiKey, model, prompt, options = {} }) {
+async function listOpenAIModels({ apiKey } = {}) {
+  const key = apiKey || process.env.OPENAI_API_KEY;
+  if (!key) throw new Error('Missing OPENAI_API_KEY for OpenAI provider');
+  const resp = await httpJson({ method: 'GET', endpoint: 'https://api.openai.com', path: '/v1/models', headers: { Authorization: `Bearer ${key}` } });
+  return (resp.data || []).map(m => m.id);
+}
+
+/**
+ * Connection settings for OpenAI-compatible servers (vLLM, LM Studio, llama.cpp server,
+ * gateways). The base URL may include `/v1` or not. Extra headers come from LLM_HEADERS
+ * (JSON object); LLM_API_KEY, when set, is sent as a Bearer token.
+ */
+function openAICompatibleTarget({ endpoint, headers } = {}) {
+  const base = String(endpoint || 'http://127.0.0.1:8000').replace(/\/+$/, '');
+  let envHeaders = {};
+  if (process.env.LLM_HEADERS) {
+    try {
+      envHeaders = JSON.parse(process.env.LLM_HEADERS);
+    } catch (e) {
+      throw new Error(`LLM_HEADERS is not valid JSON: ${e.message}`);
+    }
+  }
+  const merged = { ...envHeaders, ...(headers || {}) };
+  const hasAuth = Object.keys(merged).some(k => k.toLowerCase() === 'authorization');
+  if (process.env.LLM_API_KEY && !hasAuth) merged.Authorization = `Bearer ${process.env.LLM_API_KEY}`;
+  const prefix = /\/v1$/.test(new URL(base).pathname) ? '' : '/v1';
+  return { endpoint: base, prefix, headers: merged };
+}
+
+async function listOpenAICompatibleModels(opts = {}) {
+  const target = openAICompatibleTarget(opts);
+  const resp = await httpJson({ method: 'GET', endpoint: target.endpoint, path: `${target.prefix}/models`, headers: target.headers, timeoutMs: opts.timeoutMs });
+  return (resp.data || []).map(m => m.id);
+}
+
+// Single-model servers (llama.cpp, LM Studio) work without LLM_MODEL: use the first listed model
+async function resolveOpenAICompatibleModel({ endpoint, headers, model, timeoutMs } = {}) {
+  if (model) return model;
+  const models = await listOpenAICompatibleModels({ endpoint, headers, timeoutMs });
+  if (!models.length) throw new Error(`No models listed by ${openAICompatibleTarget({ endpoint, headers }).endpoint}; set LLM_MODEL`);
+  return models[0];
+}
+
+async function generateWithOpenAICompatible({ endpoint, headers, model, prompt, options = {}, structured = false, timeoutMs, onToken }) {
+  const target = openAICompatibleTarget({ endpoint, headers });
+  const resolvedModel = await resolveOpenAICompatibleModel({ endpoint, headers, model, timeoutMs });
+  const request = {
+    endpoint: target.endpoint,
+    path: `${target.prefix}/chat/completions`,
+    headers: target.headers,
+    timeoutMs,
+    body: chatCompletionsBody({ model: resolvedModel, prompt, options, structured }),
+  };
+  if (onToken) {
+    const streamed = await streamChatCompletions(request, onToken);
+    return { text: streamed.text, model: streamed.model || resolvedModel, usage: streamed.usage };
+  }
+  const resp = await httpJson(request);
+  const text = resp.choices?.[0]?.message?.content || '';
+  return { text, model: resp.model || resolvedModel, usage: resp.usage ? normalizeUsage(resp.usage.prompt_tokens, resp.usage.completion_tokens) : null };
+}
+
+function anthropicTarget({ model } = {}) {
+  return { endpoint: 'https://api.anthropic.com', model: model || process.env.CLAUDE_MODEL || 'claude-3-sonnet-20240229' };
+}
+
+async function generateWithAnthropic({ apiKey, model, prompt, options = {}, structured = false, timeoutMs, onToken }) {
   const key = apiKey || process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY;
   if (!key) throw new Error('Missing ANTHROPIC_API_KEY for Anthropic provider');
-  const resolvedModel = model || process.env.LLM_MODEL || process.env.CLAUDE_MODEL || 'claude-3-sonnet-20240229';
+  const resolvedModel = anthropicTarget({ model }).model;
   const temperature = options.temperature ?? 0.3;
   const top_p = options.top_p;
   const max_tokens = options.max_tokens || 2048;
@@ -159,17 +492,57 @@ async function generateWithAnthropic({ apiKey, model, prompt, options = {} }) {
   };
   if (top_p !== undefined) body.top_p = top_p;
   if (options.system) body.system = options.system;
-  const resp = await httpJson({
+  // Anthropic has no JSON mode; a forced tool call with the schema as input_schema plays that role
+  if (structured) {
+    body.tools = [{ name: OUTPUT_SCHEMA_NAME, description: 'Submit the reasoning summary and the HTML email.', input_schema: OUTPUT_JSON_SCHEMA }];
+    body.tool_choice = { type: 'tool', name: OUTPUT_SCHEMA_NAME };
+  }
+  const request = {
     endpoint: 'https://api.anthropic.com',
     path: '/v1/messages',
+    timeoutMs,
     headers: {
       'x-api-key': key,
       'anthropic-version': '2023-06-01',
     },
     body,
-  });
+  };
+  if (onToken) {
+    // SSE: text arrives as text_delta, the forced tool call's input as input_json_delta
+    let text = '';
+    let toolJson = '';
+    let streamedModel;
+    let inputTokens;
+    let outputTokens;
+    await httpStream({
+      ...request,
+      body: { ...body, stream: true },
+      onLine: (line) => {
+        const evt = sseData(line);
+        if (!evt) return;
+        if (evt.type === 'error') throw new Error(`Anthropic stream error: ${(evt.error && evt.error.message) || JSON.stringify(evt)}`);
+        if (evt.type === 'message_start' && evt.message) {
+          streamedModel = evt.message.model;
+          if (evt.message.usage) ({ input_tokens: inputTokens, output_tokens: outputTokens } = evt.message.usage);
+        }
+        // message_delta carries the cumulative output count
+        if (evt.type === 'message_delta' && evt.usage && evt.usage.output_tokens !== undefined) outputTokens = evt.usage.output_tokens;
+        if (evt.type !== 'content_block_delta' || !evt.delta) return;
+        const piece = evt.delta.type === 'input_json_delta' ? evt.delta.partial_json : evt.delta.text;
+        if (!piece) return;
+        if (evt.delta.type === 'input_json_delta') toolJson += piece;
+        else text += piece;
+        onToken(piece);
+      },
+    });
+    return { text: toolJson || text.trim(), model: streamedModel || resolvedModel, usage: normalizeUsage(inputTokens, outputTokens) };
+  }
+  const resp = await httpJson(request);
   let text = '';
-  if (Array.isArray(resp.content)) {
+  const toolUse = Array.isArray(resp.content) && resp.content.find(c => c && c.type === 'tool_use' && c.name === OUTPUT_SCHEMA_NAME);
+  if (toolUse && toolUse.input) {
+    text = JSON.stringify(toolUse.input);
+  } else if (Array.isArray(resp.content)) {
     text = resp.content
       .map((chunk) => (chunk && typeof chunk.text === 'string') ? chunk.text : '')
       .filter(Boolean)
@@ -178,43 +551,267 @@ async function generateWithAnthropic({ apiKey, model, prompt, options = {} }) {
   } else if (resp.content && typeof resp.content === 'string') {
     text = resp.content;
   }
-  return { text, model: resp.model || resolvedModel };
+  return { text, model: resp.model || resolvedModel, usage: resp.usage ? normalizeUsage(resp.usage.input_tokens, resp.usage.output_tokens) : null };
+}
+
+async function listAnthropicModels({ apiKey } = {}) {
+  const key = apiKey || process.env.ANTHROPIC_API_KEY || process.env.CLAUDE_API_KEY;
+  if (!key) throw new Error('Missing ANTHROPIC_API_KEY for Anthropic provider');
+  const resp = await httpJson({ method: 'GET', endpoint: 'https://api.anthropic.com', path: '/v1/models', headers: { 'x-api-key': key, 'anthropic-version': '2023-06-01' } });
+  return (resp.data || []).map(m => m.id);
 }
 
-async function generateHtml({ provider, model, endpoint, prompt, options }) {
+/**
+ * Repair settings: LLM_REPAIR_RETRIES extra attempts (default 2) that re-prompt with the parse
+ * error, and LLM_HTML_FALLBACK (default on) to use HTML recovered from the last broken output.
+ */
+function getRepairConfig(overrides = {}) {
+  const retries = Number(overrides.retries !== undefined ? overrides.retries : process.env.LLM_REPAIR_RETRIES);
+  const fallbackRaw = overrides.htmlFallback !== undefined ? overrides.htmlFallback : process.env.LLM_HTML_FALLBACK;
+  return {
+    retries: Number.isInteger(retries) && retries >= 0 ? retries : 2,
+    htmlFallback: !(fallbackRaw === false || /^(false|0|no|off)$/i.test(String(fallbackRaw === undefined ? '' : fallbackRaw))),
+  };
+}
+
+// Provider registry: name -> { generate, listModels, target }. Every generate() takes
+// { endpoint, model, prompt, options, structured } and resolves to { text, model }; the optional
+// target({ endpoint, model }) returns the endpoint and model a request is configured for, with
+// the provider's defaults applied. It never calls the server.
+const providers = new Map();
+
+function registerProvider(name, { generate, listModels, target, aliases = [] }) {
+  const entry = { name, generate, listModels, target };
+  [name, ...aliases].forEach(n => providers.set(String(n).toLowerCase(), entry));
+}
+
+function getProvider(name) {
+  const key = String(name || process.env.LLM_PROVIDER || 'ollama').toLowerCase();
+  const entry = providers.get(key);
+  if (!entry) throw new Error(`Unknown LLM provider "${key}" (available: ${Array.from(new Set(Array.from(providers.values()).map(p => p.name))).join(', ')})`);
+  return entry;
+}
+
+registerProvider('ollama', { generate: generateWithOllama, listModels: listOllamaModels, target: ollamaTarget });
+registerProvider('openai', { generate: generateWithOpenAI, listModels: listOpenAIModels, target: openAITarget });
+registerProvider('anthropic', { generate: generateWithAnthropic, listModels: listAnthropicModels, target: anthropicTarget, aliases: ['claude'] });
+registerProvider('openai-compatible', {
+  generate: generateWithOpenAICompatible,
+  listModels: listOpenAICompatibleModels,
+  // Without a model the server's first listed model is used; that lookup waits for the request
+  target: ({ endpoint, model }) => ({ endpoint: openAICompatibleTarget({ endpoint }).endpoint, model }),
+  aliases: ['openai_compatible'],
+});
+
+// Model ids offered by a provider's server
+async function listModels({ provider, endpoint } = {}) {
+  const entry = getProvider(provider);
+  return { provider: entry.name, models: await entry.listModels({ endpoint }) };
+}
+
+/**
+ * Failover settings from the instance `llm` block, falling back to env:
+ *  - timeout_ms (LLM_TIMEOUT_MS, default 120000): per-request timeout, 0 disables
+ *  - retries (LLM_RETRIES, default 1) and backoff_ms (LLM_RETRY_BACKOFF_MS, default 1000, doubled
+ *    per retry): same-provider retries after a timeout, network error, 5xx or 429
+ *  - fallbacks (LLM_FALLBACKS): providers tried in order once the primary gives up. Entries are
+ *    { provider, model, endpoint } or "provider[:model][@endpoint]" strings (comma-separated in env)
+ */
+function getFailoverConfig(llmCfg = {}) {
+  const cfg = llmCfg || {};
+  return {
+    timeoutMs: readMs(cfg.timeout_ms, process.env.LLM_TIMEOUT_MS, DEFAULT_TIMEOUT_MS),
+    retries: Math.floor(readMs(cfg.retries, process.env.LLM_RETRIES, 1)),
+    backoffMs: readMs(cfg.backoff_ms, process.env.LLM_RETRY_BACKOFF_MS, 1000),
+    fallbacks: parseFallbacks(cfg.fallbacks !== undefined ? cfg.fallbacks : process.env.LLM_FALLBACKS),
+  };
+}
+
+function parseFallbacks(spec) {
+  if (!spec) return [];
+  const list = Array.isArray(spec) ? spec : String(spec).split(',');
+  return list.map((item) => {
+    if (item && typeof item === 'object') return { provider: item.provider, model: item.model, endpoint: item.endpoint };
+    const text = String(item || '').trim();
+    const at = text.indexOf('@');
+    const head = at === -1 ? text : text.slice(0, at);
+    // Only the first ':' separates provider from model ("ollama:gpt-oss:20b")
+    const colon = head.indexOf(':');
+    return {
+      provider: colon === -1 ? head : head.slice(0, colon),
+      model: colon === -1 ? undefined : head.slice(colon + 1) || undefined,
+      endpoint: at === -1 ? undefined : text.slice(at + 1),
+    };
+  }).filter(c => c.provider);
+}
+
+function isRetryable(err) {
+  if (!err) return false;
+  if (err.status) return err.status >= 500 || err.status === 429;
+  return RETRYABLE_CODES.has(err.code);
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Generate and parse a reasoned JSON response.
+ * - Transport failures (timeout, network, 5xx, 429) are retried on the same provider with
+ *   exponential backoff, then the next `failover.fallbacks` entry takes over; other errors
+ *   (4xx, missing API key) move to the next entry straight away.
+ * - Output that breaks the contract is retried with the parse error fed back (`repair.retries`);
+ *   when every attempt fails, usable HTML from the last output is returned with
+ *   `fallback: 'html'` and no reasoning.
+ * Every call is listed in `attempts`; a thrown error carries them too (`err.attempts`).
+ */
+async function generateHtml({ provider, model: requestedModel, endpoint: requestedEndpoint, prompt, options, repair, structured: structuredOverride, failover, onStream, cache }) {
+  // LLM_MODEL / LLM_ENDPOINT describe the primary provider only; fallbacks use their own entry's
+  // values or the provider defaults
+  const model = requestedModel || process.env.LLM_MODEL || undefined;
+  const endpoint = requestedEndpoint || process.env.LLM_ENDPOINT || process.env.OLLAMA_ENDPOINT || undefined;
   const wrappedPrompt = buildReasoningPrompt(prompt);
-  const normalizedProvider = (provider || process.env.LLM_PROVIDER || 'ollama').toLowerCase();
+  const { retries: repairRetries, htmlFallback } = getRepairConfig(repair);
+  const { timeoutMs, retries, backoffMs, fallbacks } = getFailoverConfig(failover);
+  const structured = structuredOutputEnabled(structuredOverride);
+  const stream = typeof onStream === 'function' && streamingEnabled();
+  // Listener errors must never fail a generation
+  const notify = (evt) => {
+    try {
+      onStream(evt);
+    } catch (_) {
+      // ignore
+    }
+  };
+  const candidates = [{ provider, model, endpoint }, ...fallbacks];
+  const attempts = [];
+  let current = 0;
+
+  // cache: { mode: 'use' | 'refresh' | 'off', dir }. Keyed on the configured provider, endpoint
+  // and model (provider defaults applied), not on whichever fallback answered, so a replay needs
+  // no model server and does not depend on which one was up.
+  const cacheMode = cache && cache.dir ? cache.mode : 'off';
+  let key = null;
+  let cacheTarget = null;
+  if (cacheMode !== 'off') {
+    const entry = getProvider(provider);
+    cacheTarget = entry.target ? entry.target({ endpoint, model }) : { endpoint, model };
+    key = cacheKey({ provider: entry.name, endpoint: cacheTarget.endpoint, model: cacheTarget.model, options, structured, prompt: wrappedPrompt });
+  }
+  if (cacheMode === 'use') {
+    const hit = readCache(cache.dir, key);
+    if (hit) {
+      return { ...hit.result, prompt: wrappedPrompt, attempts, cache: { status: 'hit', key, created_at: hit.created_at } };
+    }
+  }
+
+  // One model reply from the first candidate that answers; later repair attempts stay on it
+  const invoke = async (attempt, attemptPrompt) => {
+    let lastErr = null;
+    for (; current < candidates.length; current++) {
+      const cand = candidates[current];
+      for (let retry = 0; retry <= retries; retry++) {
+        if (retry > 0) await sleep(backoffMs * 2 ** (retry - 1));
+        const started = Date.now();
+        let entry = null;
+        try {
+          entry = getProvider(cand.provider);
+          let onToken;
+          if (stream) {
+            notify({ type: 'start', attempt, repair: attempt > 1, provider: entry.name, model: cand.model || null });
+            onToken = (text) => notify({ type: 'token', text });
+          }
+          const resp = await entry.generate({ endpoint: cand.endpoint, model: cand.model, prompt: attemptPrompt, options, structured, timeoutMs, onToken });
+          return { resp, providerName: entry.name, started };
+        } catch (err) {
+          lastErr = err;
+          attempts.push({
+            attempt,
+            call_time: new Date(started).toISOString(),
+            repair: attempt > 1,
+            provider: entry ? entry.name : cand.provider,
+            model: cand.model,
+            outcome: 'error',
+            error: err.message || String(err),
+            duration_ms: Date.now() - started,
+          });
+          if (!isRetryable(err)) break;
+        }
+      }
+    }
+    const failed = candidates.length > 1 ? `all ${candidates.length} LLM providers failed; last error: ` : '';
+    const err = new Error(`${failed}${lastErr ? lastErr.message : 'no LLM provider configured'}`);
+    err.attempts = attempts;
+    throw err;
+  };
+
+  let attemptPrompt = wrappedPrompt;
   let responseText = '';
   let modelUsed = model;
+  let providerUsed = provider;
+  let lastError = null;
 
-  if (normalizedProvider === 'openai') {
-    const resp = await generateWithOpenAI({ model, prompt: wrappedPrompt, options });
-    responseText = resp.text;
-    modelUsed = resp.model;
-  } else if (normalizedProvider === 'anthropic' || normalizedProvider === 'claude') {
-    const resp = await generateWithAnthropic({ model, prompt: wrappedPrompt, options });
-    responseText = resp.text;
-    modelUsed = resp.model;
-  } else {
-    const resp = await generateWithOllama({ endpoint, model, prompt: wrappedPrompt, options });
+  for (let attempt = 1; attempt <= repairRetries + 1; attempt++) {
+    const { resp, providerName, started } = await invoke(attempt, attemptPrompt);
     responseText = resp.text;
     modelUsed = resp.model;
+    providerUsed = providerName;
+    const record = { attempt, call_time: new Date(started).toISOString(), repair: attempt > 1, provider: providerName, model: modelUsed, duration_ms: Date.now() - started };
+    if (resp.usage) record.usage = resp.usage;
+    attempts.push(record);
+    try {
+      const parsed = parseReasonedJson(responseText);
+      record.outcome = 'ok';
+      const result = {
+        text: responseText,
+        answer: parsed.answer,
+        html: extractHtmlFromOutput(parsed.answer),
+        reasoning: parsed.reasoning,
+        model: modelUsed,
+        provider: providerUsed,
+      };
+      let cacheInfo;
+      if (key) {
+        // Only contract-valid replies are stored; a failed write never fails the generation
+        cacheInfo = { status: cacheMode === 'refresh' ? 'refreshed' : 'miss', key };
+        try {
+          writeCache(cache.dir, key, { provider, endpoint: cacheTarget.endpoint || null, model: cacheTarget.model || null, options: options || {}, structured }, result);
+        } catch (e) {
+          cacheInfo.error = e.message || String(e);
+        }
+      }
+      return { ...result, prompt: wrappedPrompt, attempts, cache: cacheInfo };
+    } catch (err) {
+      lastError = err;
+      record.outcome = 'invalid_json';
+      record.error = err.message;
+      record.response = responseText;
+      attemptPrompt = buildRepairPrompt(wrappedPrompt, responseText, err.message);
+    }
   }
 
-  const parsed = parseReasonedJson(responseText);
-  const html = extractHtmlFromOutput(parsed.answer);
-  return {
-    text: responseText,
-    answer: parsed.answer,
-    html,
-    reasoning: parsed.reasoning,
-    prompt: wrappedPrompt,
-    model: modelUsed,
-  };
+  const html = htmlFallback ? fallbackHtml(responseText) : '';
+  if (html) {
+    return {
+      text: responseText,
+      answer: html,
+      html,
+      reasoning: null,
+      prompt: wrappedPrompt,
+      model: modelUsed,
+      provider: providerUsed,
+      attempts,
+      fallback: 'html',
+    };
+  }
+  const err = new Error(`${lastError.message} (after ${repairRetries + 1} attempt(s))`);
+  err.attempts = attempts;
+  throw err;
 }
 
 module.exports = {
   generateHtml,
+  listModels,
+  registerProvider,
   extractHtmlFromOutput,
+  partialAnswer,
   buildReasoningPrompt,
 };
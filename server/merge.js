@@ -0,0 +1,181 @@
+// Mail-merge: per-recipient personalization from a CSV/JSON recipients source
+const fs = require('fs');
+const path = require('path');
+
+const PLACEHOLDER_RE = /\{\{\s*([A-Za-z0-9_.-]+)\s*(?:\|([^}]*))?\}\}/g;
+const MISSING_POLICIES = ['skip', 'blank', 'abort'];
+
+/**
+ * Read the `mail_merge` config block. Returns null when mail-merge is not configured.
+ *  - recipients: CSV or JSON file relative to the instance folder
+ *  - email_field: column holding the address (default "email")
+ *  - on_missing: "skip" (default) | "blank" | "abort"
+ *  - defaults: fallback values per field
+ */
+function getMailMergeConfig(base) {
+  const cfg = base && (base.mail_merge || base.mailMerge);
+  if (!cfg) return null;
+  const spec = typeof cfg === 'string' ? { recipients: cfg } : cfg;
+  if (spec.enable === false) return null;
+  const onMissing = String(spec.on_missing || 'skip').toLowerCase();
+  return {
+    recipients: spec.recipients || spec.source,
+    emailField: spec.email_field || 'email',
+    onMissing: MISSING_POLICIES.includes(onMissing) ? onMissing : 'skip',
+    defaults: (spec.defaults && typeof spec.defaults === 'object') ? spec.defaults : {},
+  };
+}
+
+// RFC 4180 CSV: quoted fields, "" escapes, CRLF/LF rows
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === ',') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(v => v.trim() !== ''));
+}
+
+/**
+ * Load recipient rows from the configured source (paths may not escape rootDir).
+ * Returns { rows, fields } or { error }. Rows without an address are dropped with a warning.
+ */
+function loadMergeRecipients(mergeCfg, rootDir) {
+  if (!mergeCfg.recipients || typeof mergeCfg.recipients !== 'string') return { error: 'mail_merge_missing_recipients_source' };
+  const root = path.resolve(rootDir);
+  const abs = path.resolve(root, mergeCfg.recipients);
+  if (!abs.startsWith(root + path.sep)) return { error: `mail_merge_source_outside_instance: ${mergeCfg.recipients}` };
+  if (!fs.existsSync(abs)) return { error: `mail_merge_source_not_found: ${mergeCfg.recipients}` };
+  let records;
+  try {
+    const raw = fs.readFileSync(abs, 'utf8');
+    if (/\.json$/i.test(abs)) {
+      const parsed = JSON.parse(raw);
+      records = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.recipients) ? parsed.recipients : null);
+      if (!records) return { error: 'mail_merge_invalid_json: expected an array of objects' };
+    } else {
+      const [header, ...lines] = parseCsv(raw);
+      if (!header) return { error: 'mail_merge_empty_source' };
+      const names = header.map(h => h.trim());
+      records = lines.map((vals) => {
+        const obj = {};
+        names.forEach((n, i) => { if (n) obj[n] = (vals[i] || '').trim(); });
+        return obj;
+      });
+    }
+  } catch (e) {
+    return { error: `mail_merge_parse_error: ${e.message}` };
+  }
+  const fields = new Set();
+  const rows = [];
+  const warnings = [];
+  records.forEach((rec, idx) => {
+    if (!rec || typeof rec !== 'object') return;
+    Object.keys(rec).forEach(k => fields.add(k));
+    const email = lookupField(rec, mergeCfg.emailField);
+    if (!email || !String(email).includes('@')) {
+      warnings.push(`row ${idx}: missing or invalid ${mergeCfg.emailField}`);
+      return;
+    }
+    rows.push({ index: idx, email: String(email).trim(), data: rec });
+  });
+  if (!rows.length) return { error: 'mail_merge_no_recipients' };
+  return { rows, fields: Array.from(fields), warnings };
+}
+
+function lookupField(data, name) {
+  if (!data) return undefined;
+  if (Object.prototype.hasOwnProperty.call(data, name)) return data[name];
+  const lower = String(name).toLowerCase();
+  const key = Object.keys(data).find(k => k.toLowerCase() === lower);
+  return key !== undefined ? data[key] : undefined;
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function listPlaceholders(template) {
+  const names = new Set();
+  String(template || '').replace(PLACEHOLDER_RE, (m, name) => { names.add(name); return m; });
+  return Array.from(names);
+}
+
+/**
+ * Replace {{field}} / {{field|fallback}} placeholders with values from `data`.
+ * Empty values fall back to the inline fallback, then `defaults`. Fields that still have no
+ * value render as empty strings and are reported in `missing`.
+ */
+function renderTemplate(template, data, { defaults = {}, html = false } = {}) {
+  const missing = new Set();
+  const output = String(template || '').replace(PLACEHOLDER_RE, (m, name, inlineFallback) => {
+    let value = lookupField(data, name);
+    if (value === undefined || value === null || String(value).trim() === '') {
+      if (inlineFallback !== undefined) value = inlineFallback.trim();
+      else if (lookupField(defaults, name) !== undefined) value = lookupField(defaults, name);
+      else {
+        missing.add(name);
+        value = '';
+      }
+    }
+    return html ? escapeHtml(value) : String(value);
+  });
+  return { output, missing: Array.from(missing) };
+}
+
+/**
+ * Render subject and HTML for one recipient row.
+ * Returns { subject, html, missing, email, index }.
+ */
+function renderForRecipient(row, { subject, html, mergeCfg }) {
+  const s = renderTemplate(subject, row.data, { defaults: mergeCfg.defaults });
+  const h = renderTemplate(html, row.data, { defaults: mergeCfg.defaults, html: true });
+  const missing = Array.from(new Set([...s.missing, ...h.missing]));
+  return { index: row.index, email: row.email, subject: s.output, html: h.output, missing };
+}
+
+// Prompt note so the model personalizes with placeholders the send step can fill
+function describeMergeForPrompt(fields, emailField) {
+  const usable = fields.filter(f => f !== emailField);
+  if (!usable.length) return '';
+  return [
+    '[PERSONALIZATION]',
+    'This email is sent individually to each recipient. Personalize it using these placeholders exactly as written (double curly braces); they are replaced per recipient at send time:',
+    ...usable.map(f => `- {{${f}}}`),
+    'A fallback can be given as {{field|fallback}}, e.g. {{first_name|there}}. Do not invent other placeholders.',
+  ].join('\n');
+}
+
+module.exports = {
+  getMailMergeConfig,
+  loadMergeRecipients,
+  renderTemplate,
+  renderForRecipient,
+  listPlaceholders,
+  describeMergeForPrompt,
+  parseCsv,
+};
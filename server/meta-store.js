@@ -0,0 +1,114 @@
+// meta.json persistence: atomic writes (temp file + fsync + rename), one mutation at a time per
+// file, checked status transitions and a `revision` counter bumped on every write so clients
+// can detect that an instance changed since they last read it.
+const fs = require('fs');
+
+// Allowed previous statuses for each target status; null means reachable from any status.
+// `active` starts a (re)run and `abort` stops one, so both are always allowed. A send that went
+// out may always be recorded as `finished`; waiting and scheduling need a live run.
+const TRANSITIONS = {
+  new: ['new'],
+  active: null,
+  wait: ['active', 'wait'],
+  scheduled: ['active', 'wait', 'scheduled'],
+  finished: ['new', 'active', 'wait', 'scheduled', 'finished', 'abort'],
+  abort: null,
+};
+const META_STATUSES = Object.keys(TRANSITIONS);
+
+// metaPath -> mutations deferred while that file is being updated
+const inFlight = new Map();
+let tmpSeq = 0;
+
+function normalizeStatus(status) {
+  return typeof status === 'string' ? status.toLowerCase() : undefined;
+}
+
+// Error message for an illegal status change, or null. Files with a missing or unknown
+// previous status (hand-written or legacy) may move anywhere.
+function checkTransition(from, to) {
+  if (from === to && from !== undefined) return null;
+  if (!META_STATUSES.includes(to)) return `invalid_status: ${to}`;
+  const allowed = TRANSITIONS[to];
+  if (!allowed || !from || !META_STATUSES.includes(from) || allowed.includes(from)) return null;
+  return `invalid_transition: ${from} -> ${to}`;
+}
+
+// Parsed meta.json; throws when missing or unreadable
+function readMetaFile(metaPath) {
+  if (!fs.existsSync(metaPath)) throw new Error(`meta.json not found at ${metaPath}`);
+  const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+  if (!meta || typeof meta !== 'object' || Array.isArray(meta)) throw new Error(`meta.json at ${metaPath} is not an object`);
+  return meta;
+}
+
+// Readers see either the old or the new file, never a partial one, even after a crash
+function writeMetaFile(metaPath, meta) {
+  tmpSeq += 1;
+  const tmp = `${metaPath}.${process.pid}.${tmpSeq}.tmp`;
+  const fd = fs.openSync(tmp, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(meta, null, 2), null, 'utf8');
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  try {
+    fs.renameSync(tmp, metaPath);
+  } catch (e) {
+    try { fs.unlinkSync(tmp); } catch (_) { /* nothing to clean up */ }
+    throw e;
+  }
+}
+
+function applyMutation(metaPath, mutate, { expectedRevision, onCommit } = {}) {
+  try {
+    const current = readMetaFile(metaPath);
+    const revision = Number(current.revision) || 0;
+    if (expectedRevision !== undefined && expectedRevision !== revision) {
+      return { error: `revision_conflict: expected revision ${expectedRevision}, found ${revision}`, revision };
+    }
+    const previous = normalizeStatus(current.status);
+    const next = mutate({ ...current }) || current;
+    const status = normalizeStatus(next.status);
+    const transitionErr = status === previous ? null : checkTransition(previous, status);
+    if (transitionErr) return { error: transitionErr, revision };
+    next.revision = revision + 1;
+    writeMetaFile(metaPath, next);
+    if (onCommit) onCommit(next, previous);
+    return { meta: next, previous };
+  } catch (e) {
+    return { error: e.message || String(e) };
+  }
+}
+
+/**
+ * Read-modify-write of one meta.json. `mutate(meta)` gets a fresh copy and returns the new
+ * object; it is written only when the status change is allowed and, with `expectedRevision`,
+ * when the file is still at that revision. `onCommit(meta, previousStatus)` runs after the
+ * write. Updates of the same file made from inside a mutation or its onCommit (e.g. by an
+ * event listener) are queued and applied in order once it completes; they return
+ * { queued: true }. Otherwise returns { meta, previous } or { error, revision }.
+ */
+function mutateMeta(metaPath, mutate, options) {
+  const deferred = inFlight.get(metaPath);
+  if (deferred) {
+    deferred.push([mutate, options]);
+    return { queued: true };
+  }
+  const queue = [];
+  inFlight.set(metaPath, queue);
+  try {
+    const result = applyMutation(metaPath, mutate, options);
+    while (queue.length) {
+      const [nextMutate, nextOptions] = queue.shift();
+      const queued = applyMutation(metaPath, nextMutate, nextOptions);
+      if (queued.error) console.log(`[meta] queued update of ${metaPath} failed: ${queued.error}`);
+    }
+    return result;
+  } finally {
+    inFlight.delete(metaPath);
+  }
+}
+
+module.exports = { META_STATUSES, checkTransition, readMetaFile, writeMetaFile, mutateMeta };
@@ -0,0 +1,95 @@
+// MIME message construction shared by all email transports
+const crypto = require('crypto');
+const { htmlToText } = require('./plaintext');
+
+function newBoundary() {
+  return `----=_Part_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Base64 body wrapped at 76 chars per RFC 2045
+function encodeBase64Body(content) {
+  const b64 = Buffer.isBuffer(content) ? content.toString('base64') : Buffer.from(String(content), 'utf8').toString('base64');
+  return b64.replace(/.{1,76}/g, '$&\r\n').replace(/\r\n$/, '');
+}
+
+/**
+ * Render a MIME part tree. A leaf is { contentType, content, headers? };
+ * a container is { multipart: 'alternative' | 'mixed' | 'related', parts: [...] }.
+ * Returns { headers: [...], body } so the root part's headers can be merged
+ * into the top-level message headers.
+ */
+function renderPart(part) {
+  if (part.multipart) {
+    const boundary = newBoundary();
+    const chunks = part.parts.map((child) => {
+      const rendered = renderPart(child);
+      return `--${boundary}\r\n${rendered.headers.join('\r\n')}\r\n\r\n${rendered.body}\r\n`;
+    });
+    return {
+      headers: [`Content-Type: multipart/${part.multipart}; boundary="${boundary}"`],
+      body: `${chunks.join('')}--${boundary}--`,
+    };
+  }
+  return {
+    headers: [
+      `Content-Type: ${part.contentType}`,
+      'Content-Transfer-Encoding: base64',
+      ...(part.headers || []),
+    ],
+    body: encodeBase64Body(part.content),
+  };
+}
+
+// Quote a filename parameter; non-ASCII names use RFC 2231 extended notation
+function filenameParam(name, filename) {
+  const safe = String(filename).replace(/[\r\n"]/g, '_');
+  if (/^[\x20-\x7e]*$/.test(safe)) return `${name}="${safe}"`;
+  return `${name}*=UTF-8''${encodeURIComponent(safe)}`;
+}
+
+function attachmentPart(att) {
+  return {
+    contentType: `${att.contentType || 'application/octet-stream'}; ${filenameParam('name', att.filename)}`,
+    content: att.content,
+    headers: [`Content-Disposition: attachment; ${filenameParam('filename', att.filename)}`],
+  };
+}
+
+function inlineImagePart(img) {
+  return {
+    contentType: `${img.contentType || 'application/octet-stream'}; ${filenameParam('name', img.filename)}`,
+    content: img.content,
+    headers: [`Content-ID: <${img.cid}>`, `Content-Disposition: inline; ${filenameParam('filename', img.filename)}`],
+  };
+}
+
+// Build the raw RFC 822 message. Transports encode it as they need (Gmail API wants base64url).
+function buildMime({ fromName, fromEmail, to, cc, bcc, subject, html, text, attachments, inlineImages, messageId, date }) {
+  const headers = [];
+  headers.push(`From: ${fromName ? `${fromName} <${fromEmail}>` : fromEmail}`);
+  headers.push(`To: ${to.join(', ')}`);
+  if (cc && cc.length) headers.push(`Cc: ${cc.join(', ')}`);
+  if (bcc && bcc.length) headers.push(`Bcc: ${bcc.join(', ')}`);
+  if (date) headers.push(`Date: ${date.toUTCString()}`);
+  if (messageId) headers.push(`Message-ID: ${messageId}`);
+  headers.push('MIME-Version: 1.0');
+  headers.push(`Subject: ${subject}`);
+  // Structure: mixed[ alternative[ text, related[ html, images ] ], attachments ] (containers omitted when empty)
+  const htmlPart = { contentType: 'text/html; charset=UTF-8', content: html };
+  const alternative = {
+    multipart: 'alternative',
+    parts: [
+      { contentType: 'text/plain; charset=UTF-8', content: text != null ? text : htmlToText(html) },
+      inlineImages && inlineImages.length
+        ? { multipart: 'related', parts: [htmlPart, ...inlineImages.map(inlineImagePart)] }
+        : htmlPart,
+    ],
+  };
+  const root = attachments && attachments.length
+    ? { multipart: 'mixed', parts: [alternative, ...attachments.map(attachmentPart)] }
+    : alternative;
+  const rendered = renderPart(root);
+  return [...headers, ...rendered.headers].join('\r\n') + '\r\n\r\n' + rendered.body + '\r\n';
+}
+
+module.exports = { buildMime, renderPart };
@@ -0,0 +1,24 @@
+// File transport: writes the outgoing MIME message to an .eml file instead of sending it
+const fs = require('fs');
+const path = require('path');
+const { buildMime } = require('./mime');
+
+function timestampForFile(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.(\d{3})Z$/, '$1Z');
+}
+
+async function sendEmail({ fromName, fromEmail, to, cc = [], bcc = [], subject, html, text, attachments, inlineImages }, { dir }) {
+  if (!dir) throw new Error('Missing outbox directory for file transport');
+  // Same message the Gmail transport would submit (Bcc header included, as Gmail receives it)
+  const message = buildMime({ fromName, fromEmail, to, cc, bcc, subject, html, text, attachments, inlineImages });
+  fs.mkdirSync(dir, { recursive: true });
+  const stamp = timestampForFile(new Date());
+  let fname = `${stamp}.eml`;
+  let n = 1;
+  while (fs.existsSync(path.join(dir, fname))) { fname = `${stamp}-${n}.eml`; n++; }
+  const filePath = path.join(dir, fname);
+  fs.writeFileSync(filePath, message, 'utf8');
+  return { id: `outbox-${path.basename(fname, '.eml')}`, path: filePath };
+}
+
+module.exports = { sendEmail };
@@ -0,0 +1,151 @@
+// Derive a readable plain-text version of an HTML email (for the text/plain alternative part)
+// Keeps headings, list structure and link URLs; drops styling and markup.
+
+const NAMED_ENTITIES = {
+  nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'",
+  copy: '©', reg: '®', trade: '™', hellip: '…', mdash: '—', ndash: '–',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', bull: '•', middot: '·',
+  laquo: '«', raquo: '»', euro: '€', pound: '£', yen: '¥', cent: '¢', deg: '°',
+  times: '×', rarr: '→', larr: '←', zwnj: '', zwj: '', shy: '',
+};
+
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'table', 'tbody', 'thead', 'tfoot', 'tr', 'section', 'article', 'header',
+  'footer', 'main', 'nav', 'aside', 'blockquote', 'center', 'dl', 'dt', 'dd',
+  'form', 'fieldset', 'figure', 'figcaption', 'address', 'body', 'html',
+]);
+
+function decodeEntities(text) {
+  return String(text).replace(/&(#x[0-9a-f]+|#\d+|[a-z][a-z0-9]*);/gi, (m, ent) => {
+    if (ent[0] === '#') {
+      const code = ent[1] === 'x' || ent[1] === 'X' ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      try { return Number.isFinite(code) ? String.fromCodePoint(code) : m; } catch (_) { return m; }
+    }
+    const named = NAMED_ENTITIES[ent.toLowerCase()];
+    return named !== undefined ? named : m;
+  });
+}
+
+function getAttr(attrs, name) {
+  const re = new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i');
+  const m = attrs.match(re);
+  if (!m) return '';
+  return decodeEntities(m[1] !== undefined ? m[1] : (m[2] !== undefined ? m[2] : m[3]));
+}
+
+function formatHeading(level, text) {
+  if (!text) return '';
+  if (level === 1) return `\n\n${text.toUpperCase()}\n${'='.repeat(Math.min(text.length, 72))}\n\n`;
+  if (level === 2) return `\n\n${text}\n${'-'.repeat(Math.min(text.length, 72))}\n\n`;
+  return `\n\n${text}\n\n`;
+}
+
+function htmlToText(html) {
+  if (!html) return '';
+  const src = String(html)
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<(head|style|script|title|noscript|template)\b[^>]*>[\s\S]*?<\/\1\s*>/gi, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+  const out = [];
+  const lists = [];
+  const links = [];
+  let heading = null;
+  let preDepth = 0;
+
+  const atLineStart = () => !out.length || /\n$/.test(out[out.length - 1]);
+  const endsWithSpace = () => !out.length || /\s$/.test(out[out.length - 1]);
+  const pushText = (raw) => {
+    let text = decodeEntities(raw);
+    if (!preDepth) {
+      text = text.replace(/\s+/g, ' ');
+      if (endsWithSpace()) text = text.replace(/^ +/, '');
+    }
+    if (text) out.push(text);
+  };
+
+  const re = /<(\/?)([a-zA-Z][a-zA-Z0-9]*)\b([^>]*)>/g;
+  let last = 0;
+  let m;
+  while ((m = re.exec(src)) !== null) {
+    if (m.index > last) pushText(src.slice(last, m.index));
+    last = re.lastIndex;
+    const closing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+    const attrs = m[3] || '';
+
+    if (/^h[1-6]$/.test(tag)) {
+      if (!closing) {
+        out.push('\n\n');
+        heading = { level: Number(tag[1]), start: out.length };
+      } else if (heading) {
+        const text = out.splice(heading.start).join('').replace(/\s+/g, ' ').trim();
+        out.push(formatHeading(heading.level, text));
+        heading = null;
+      }
+      continue;
+    }
+    if (tag === 'a') {
+      if (!closing) {
+        links.push({ href: getAttr(attrs, 'href'), start: out.length });
+      } else if (links.length) {
+        const link = links.pop();
+        const inner = out.slice(link.start).join('').trim();
+        const href = link.href.replace(/^mailto:/i, '');
+        if (href && !href.startsWith('#') && !/^javascript:/i.test(href) && !inner.includes(href)) {
+          out.push(inner ? ` (${href})` : href);
+        }
+      }
+      continue;
+    }
+    if (tag === 'ul' || tag === 'ol') {
+      // Nested lists stay attached to their parent item; only top-level lists get blank lines
+      if (!closing) {
+        out.push(lists.length ? '\n' : '\n\n');
+        lists.push({ type: tag, n: 0 });
+      } else {
+        lists.pop();
+        if (!lists.length) out.push('\n\n');
+      }
+      continue;
+    }
+    if (tag === 'li') {
+      if (!closing) {
+        const list = lists[lists.length - 1] || { type: 'ul', n: 0 };
+        list.n += 1;
+        const indent = '  '.repeat(Math.max(lists.length - 1, 0));
+        const marker = list.type === 'ol' ? `${list.n}.` : '-';
+        out.push(`${atLineStart() ? '' : '\n'}${indent}${marker} `);
+      } else {
+        out.push('\n');
+      }
+      continue;
+    }
+    if (tag === 'br') { out.push('\n'); continue; }
+    if (tag === 'hr') { out.push('\n\n----------\n\n'); continue; }
+    if (tag === 'img') {
+      const alt = getAttr(attrs, 'alt').trim();
+      if (alt) pushText(` ${alt} `);
+      continue;
+    }
+    if (tag === 'pre') {
+      preDepth = Math.max(preDepth + (closing ? -1 : 1), 0);
+      out.push('\n\n');
+      continue;
+    }
+    if (tag === 'td' || tag === 'th') {
+      if (closing && !endsWithSpace()) out.push(' ');
+      continue;
+    }
+    if (BLOCK_TAGS.has(tag)) out.push('\n\n');
+  }
+  if (last < src.length) pushText(src.slice(last));
+
+  return out.join('')
+    .split('\n')
+    .map(line => line.replace(/\s+$/, ''))
+    .join('\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim() + '\n';
+}
+
+module.exports = { htmlToText };
@@ -0,0 +1,299 @@
+// Email-safe HTML sanitizer for LLM output: strips active content, repairs unbalanced markup
+// and guarantees a full <!DOCTYPE html> document. No DOM dependency; a small tokenizer is enough
+// for the markup models produce.
+
+const VOID_ELEMENTS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'param', 'source', 'track', 'wbr', 'keygen']);
+const RAW_TEXT_ELEMENTS = new Set(['script', 'style', 'textarea', 'title', 'xmp', 'noscript']);
+// Removed together with everything inside them
+const DROP_WITH_CONTENT = new Set(['script', 'noscript', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'template', 'svg', 'math', 'select', 'textarea', 'audio', 'video', 'canvas', 'dialog', 'portal']);
+// Tag removed, children kept
+const UNWRAP = new Set(['form', 'fieldset', 'legend', 'label', 'button', 'optgroup', 'option', 'datalist']);
+// Void elements that are dropped outright
+const DROP_VOID = new Set(['input', 'base', 'param', 'keygen', 'source', 'track']);
+// Start tags that implicitly close an open element of the same name in the same parent
+const SELF_CLOSING_SIBLINGS = new Set(['p', 'li', 'td', 'th', 'tr', 'dt', 'dd']);
+const URL_ATTRIBUTES = new Set(['href', 'src', 'action', 'formaction', 'background', 'poster', 'cite', 'longdesc', 'lowsrc', 'dynsrc', 'xlink:href', 'data']);
+const DROP_ATTRIBUTES = new Set(['srcdoc', 'formaction', 'action', 'ping', 'nonce', 'integrity']);
+
+function decodeEntitiesLoose(value) {
+  return String(value)
+    .replace(/&#x([0-9a-f]+);?/gi, (_, h) => String.fromCharCode(parseInt(h, 16)))
+    .replace(/&#(\d+);?/g, (_, d) => String.fromCharCode(Number(d)))
+    .replace(/&colon;/gi, ':')
+    .replace(/&tab;|&newline;/gi, '');
+}
+
+// Scheme of a URL attribute after undoing the usual obfuscation (entities, whitespace, control chars)
+function urlScheme(value) {
+  const compact = decodeEntitiesLoose(value).replace(/[\s\u0000-\u001f]/g, '').toLowerCase();
+  const m = compact.match(/^([a-z][a-z0-9+.-]*):/);
+  return m ? { scheme: m[1], compact } : { scheme: '', compact };
+}
+
+function isUnsafeUrl(attr, value) {
+  const { scheme, compact } = urlScheme(value);
+  if (scheme === 'javascript' || scheme === 'vbscript' || scheme === 'livescript') return true;
+  if (scheme === 'data') return !(attr === 'src' && /^data:image\/(png|jpe?g|gif|webp);/.test(compact));
+  return false;
+}
+
+// Inline style values and <style> blocks: drop constructs that execute code or load stylesheets
+function sanitizeCss(css, note) {
+  let out = String(css);
+  out = out.replace(/@import\s+[^;]+;?/gi, () => { note('removed', 'CSS @import'); return ''; });
+  out = out.replace(/expression\s*\(/gi, () => { note('removed', 'CSS expression()'); return 'invalid('; });
+  out = out.replace(/url\s*\(\s*(['"]?)\s*(javascript|vbscript|data:(?!image\/))(?:[^()]|\([^()]*\))*\)/gi, () => { note('removed', 'CSS script URL'); return 'none'; });
+  out = out.replace(/(behavior|-moz-binding)\s*:[^;}"]*/gi, (m, prop) => { note('removed', `CSS ${prop.toLowerCase()}`); return ''; });
+  return out;
+}
+
+function readAttributes(html, start) {
+  const attrs = [];
+  let j = start;
+  const len = html.length;
+  let selfClosing = false;
+  let terminated = false;
+  while (j < len) {
+    while (j < len && /\s/.test(html[j])) j++;
+    if (html[j] === '>') { j++; terminated = true; break; }
+    if (html[j] === '/' && html[j + 1] === '>') { selfClosing = true; j += 2; terminated = true; break; }
+    if (html[j] === '/' || html[j] === '"' || html[j] === "'" || html[j] === '=') { j++; continue; }
+    if (html[j] === '<') break; // unterminated tag; let the next tag start here
+    let name = '';
+    while (j < len && !/[\s=>/<]/.test(html[j])) name += html[j++];
+    while (j < len && /\s/.test(html[j])) j++;
+    let value = null;
+    if (html[j] === '=') {
+      j++;
+      while (j < len && /\s/.test(html[j])) j++;
+      const q = html[j];
+      if (q === '"' || q === "'") {
+        const end = html.indexOf(q, j + 1);
+        const stop = end === -1 ? len : end;
+        value = html.slice(j + 1, stop);
+        j = end === -1 ? len : end + 1;
+      } else {
+        value = '';
+        while (j < len && !/[\s>]/.test(html[j])) value += html[j++];
+      }
+    }
+    if (name) attrs.push({ name: name.toLowerCase(), value });
+  }
+  return { attrs, selfClosing, end: j, terminated };
+}
+
+function tokenize(html) {
+  const tokens = [];
+  const len = html.length;
+  let i = 0;
+  while (i < len) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) {
+      tokens.push({ type: 'text', text: html.slice(i) });
+      break;
+    }
+    if (lt > i) tokens.push({ type: 'text', text: html.slice(i, lt) });
+    if (html.startsWith('<!--', lt)) {
+      const end = html.indexOf('-->', lt + 4);
+      tokens.push({ type: 'comment', text: html.slice(lt, end === -1 ? len : end + 3) });
+      i = end === -1 ? len : end + 3;
+      continue;
+    }
+    if (html[lt + 1] === '!' || html[lt + 1] === '?') {
+      const end = html.indexOf('>', lt);
+      const text = html.slice(lt, end === -1 ? len : end + 1);
+      tokens.push({ type: /^<!doctype/i.test(text) ? 'doctype' : 'decl', text });
+      i = end === -1 ? len : end + 1;
+      continue;
+    }
+    const m = /^<(\/?)([A-Za-z][A-Za-z0-9:-]*)/.exec(html.slice(lt, lt + 128));
+    if (!m) {
+      tokens.push({ type: 'text', text: '&lt;' });
+      i = lt + 1;
+      continue;
+    }
+    const name = m[2].toLowerCase();
+    const parsed = readAttributes(html, lt + m[0].length);
+    i = parsed.end;
+    if (m[1]) {
+      tokens.push({ type: 'end', name, terminated: parsed.terminated });
+      continue;
+    }
+    tokens.push({ type: 'start', name, attrs: parsed.attrs, selfClosing: parsed.selfClosing, terminated: parsed.terminated });
+    if (RAW_TEXT_ELEMENTS.has(name) && !parsed.selfClosing) {
+      const closeRe = new RegExp(`</${name}\\s*>`, 'i');
+      const rest = html.slice(i);
+      const cm = closeRe.exec(rest);
+      const body = cm ? rest.slice(0, cm.index) : rest;
+      tokens.push({ type: 'raw', name, text: body });
+      tokens.push({ type: 'end', name, terminated: !!cm, implied: !cm });
+      i = cm ? i + cm.index + cm[0].length : len;
+    }
+  }
+  return tokens;
+}
+
+function escapeAttr(value) {
+  return String(value).replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function cleanAttributes(tagName, attrs, note) {
+  const kept = [];
+  attrs.forEach(({ name, value }) => {
+    if (/^on/.test(name)) return note('removed', `${name} attribute`);
+    if (DROP_ATTRIBUTES.has(name)) return note('removed', `${name} attribute`);
+    if (tagName === 'meta' && name === 'http-equiv') return note('removed', 'meta http-equiv');
+    if (value !== null && URL_ATTRIBUTES.has(name) && isUnsafeUrl(name, value)) {
+      return note('removed', `${urlScheme(value).scheme}: URL in ${name}`);
+    }
+    if (name === 'style' && value) value = sanitizeCss(value, note);
+    kept.push(value === null ? name : `${name}="${escapeAttr(value)}"`);
+  });
+  return kept.length ? ` ${kept.join(' ')}` : '';
+}
+
+// Close an open `name` when a sibling of the same kind starts (e.g. <li> after an unclosed <li>)
+function impliedCloseCount(stack, name) {
+  if (!SELF_CLOSING_SIBLINGS.has(name)) return 0;
+  const boundaries = {
+    li: ['ul', 'ol', 'menu'],
+    td: ['tr', 'table'],
+    th: ['tr', 'table'],
+    tr: ['table', 'tbody', 'thead', 'tfoot'],
+    dt: ['dl'],
+    dd: ['dl'],
+    p: ['div', 'td', 'th', 'li', 'body', 'table', 'blockquote', 'section', 'article'],
+  }[name];
+  for (let k = stack.length - 1; k >= 0; k--) {
+    if (stack[k] === name || ((name === 'td' || name === 'th') && (stack[k] === 'td' || stack[k] === 'th')) || ((name === 'dt' || name === 'dd') && (stack[k] === 'dt' || stack[k] === 'dd'))) {
+      return stack.length - k;
+    }
+    if (boundaries.includes(stack[k])) return 0;
+  }
+  return 0;
+}
+
+function ensureDocument(html, note) {
+  let doc = html.trim();
+  if (!/<html[\s>]/i.test(doc)) {
+    doc = `<html>\n${doc}\n</html>`;
+    note('repaired', 'added <html> wrapper');
+  }
+  if (!/<head[\s>]/i.test(doc)) {
+    doc = doc.replace(/<html([^>]*)>/i, '<html$1>\n<head>\n</head>');
+    note('repaired', 'added <head>');
+  }
+  if (!/<body[\s>]/i.test(doc)) {
+    doc = doc.replace(/(<\/head>)([\s\S]*?)(<\/html>\s*)$/i, (m, head, content, close) => `${head}\n<body>\n${content.trim()}\n</body>\n${close}`);
+    note('repaired', 'added <body>');
+  }
+  const headMatch = doc.match(/<head[^>]*>([\s\S]*?)<\/head>/i);
+  if (headMatch && !/<meta[^>]+charset/i.test(headMatch[1])) {
+    doc = doc.replace(/<head([^>]*)>/i, '<head$1>\n<meta charset="UTF-8">');
+    note('repaired', 'added <meta charset>');
+  }
+  return `<!DOCTYPE html>\n${doc}\n`;
+}
+
+/**
+ * Sanitize generated email HTML. Returns { html, removed, repaired } where removed/repaired are
+ * [{ item, count }] lists describing what changed (empty when the input was already clean).
+ */
+function sanitizeEmailHtml(input) {
+  const counts = { removed: new Map(), repaired: new Map() };
+  const note = (kind, item) => counts[kind].set(item, (counts[kind].get(item) || 0) + 1);
+  const tokens = tokenize(String(input || ''));
+  const out = [];
+  const stack = [];
+  let dropping = null;
+  let sawDoctype = false;
+
+  for (const token of tokens) {
+    if (dropping) {
+      if (token.type === 'start' && token.name === dropping.name && !token.selfClosing) dropping.depth++;
+      if (token.type === 'end' && token.name === dropping.name) dropping.depth--;
+      if (dropping.depth === 0) dropping = null;
+      continue;
+    }
+    if (token.type === 'text') {
+      out.push(token.text);
+    } else if (token.type === 'comment') {
+      // Keep Outlook conditional comments and plain notes, but not ones smuggling script
+      if (/<script|javascript:/i.test(token.text)) note('removed', 'comment with script');
+      else out.push(token.text);
+    } else if (token.type === 'doctype') {
+      sawDoctype = true;
+    } else if (token.type === 'decl') {
+      note('removed', 'markup declaration');
+    } else if (token.type === 'raw') {
+      if (token.name === 'style') out.push(sanitizeCss(token.text, note));
+      else out.push(token.text.replace(/</g, '&lt;'));
+    } else if (token.type === 'start') {
+      const { name } = token;
+      if (!token.terminated) note('repaired', `unterminated <${name}> tag`);
+      if (DROP_WITH_CONTENT.has(name)) {
+        note('removed', `<${name}>`);
+        if (!VOID_ELEMENTS.has(name) && !token.selfClosing) dropping = { name, depth: 1 };
+        continue;
+      }
+      if (UNWRAP.has(name) || DROP_VOID.has(name)) {
+        note('removed', `<${name}>`);
+        continue;
+      }
+      if (name === 'link') {
+        const rel = (token.attrs.find(a => a.name === 'rel') || {}).value || '';
+        note('removed', /stylesheet/i.test(rel) ? 'external stylesheet <link>' : '<link>');
+        continue;
+      }
+      const closeCount = impliedCloseCount(stack, name);
+      for (let k = 0; k < closeCount; k++) {
+        const open = stack.pop();
+        out.push(`</${open}>`);
+        note('repaired', `closed unclosed <${open}>`);
+      }
+      out.push(`<${name}${cleanAttributes(name, token.attrs, note)}>`);
+      if (VOID_ELEMENTS.has(name)) continue;
+      if (token.selfClosing) {
+        out.push(`</${name}>`);
+        continue;
+      }
+      stack.push(name);
+    } else if (token.type === 'end') {
+      const { name } = token;
+      if (VOID_ELEMENTS.has(name) || UNWRAP.has(name) || DROP_WITH_CONTENT.has(name)) continue;
+      if (token.implied) note('repaired', `closed unterminated <${name}>`);
+      const idx = stack.lastIndexOf(name);
+      if (idx === -1) {
+        note('repaired', `dropped stray </${name}>`);
+        continue;
+      }
+      while (stack.length > idx + 1) {
+        const open = stack.pop();
+        out.push(`</${open}>`);
+        note('repaired', `closed unclosed <${open}>`);
+      }
+      stack.pop();
+      out.push(`</${name}>`);
+    }
+  }
+  while (stack.length) {
+    const open = stack.pop();
+    out.push(`</${open}>`);
+    note('repaired', `closed unclosed <${open}>`);
+  }
+  if (!sawDoctype) note('repaired', 'added <!DOCTYPE html>');
+  const html = ensureDocument(out.join(''), note);
+  const list = m => Array.from(m.entries()).map(([item, count]) => ({ item, count }));
+  return { html, removed: list(counts.removed), repaired: list(counts.repaired) };
+}
+
+// One-line summary for logs/progress, e.g. "removed <script> x2, onclick attribute; repaired closed unclosed <div>"
+function describeSanitizeReport(report) {
+  const fmt = l => l.map(e => (e.count > 1 ? `${e.item} x${e.count}` : e.item)).join(', ');
+  const parts = [];
+  if (report.removed.length) parts.push(`removed ${fmt(report.removed)}`);
+  if (report.repaired.length) parts.push(`repaired ${fmt(report.repaired)}`);
+  return parts.join('; ');
+}
+
+module.exports = { sanitizeEmailHtml, describeSanitizeReport };
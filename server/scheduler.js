@@ -0,0 +1,93 @@
+// Scheduled sends: parse `send_at`, keep one timer per instance, and rediscover
+// scheduled instances from AGENT_FOLDER after a restart.
+const fs = require('fs');
+const path = require('path');
+const { parseEventTime, isValidTimeZone } = require('./calendar');
+
+// setTimeout overflows past ~24.8 days; longer waits are re-armed in steps
+const MAX_TIMER_MS = 2147483647;
+
+/**
+ * Parse a send time. `value` is an ISO date-time; wall-clock values ("2025-09-16T09:00")
+ * are read in `timeZone` (UTC when absent), values with `Z` or an offset are absolute.
+ * Returns { at, send_at, timezone } or { error }.
+ */
+function parseSendAt(value, timeZone) {
+  const tz = timeZone || '';
+  if (tz && !isValidTimeZone(tz)) return { error: `invalid_send_at: unknown timezone ${tz}` };
+  const t = parseEventTime(value, tz);
+  if (!t || t.allDay) return { error: 'invalid_send_at: expected an ISO date-time' };
+  return { at: t.ms, send_at: new Date(t.ms).toISOString(), timezone: tz || null, requested: String(value) };
+}
+
+/**
+ * Resolve the requested send time: request body, then a pending request remembered in
+ * meta.json (e.g. across a HITL review), then instance config. `send_at` may be a string
+ * (with a sibling `send_at_timezone`/`timezone`) or { at, timezone }. Returns null when unset.
+ */
+function resolveSendAt(body, base, meta) {
+  const sources = [
+    body && { value: body.send_at, timeZone: body.send_at_timezone || body.timezone },
+    meta && meta.send_at_request && { value: meta.send_at_request.send_at, timeZone: meta.send_at_request.timezone },
+    base && { value: base.send_at, timeZone: base.send_at_timezone },
+  ];
+  for (const src of sources) {
+    if (!src || !src.value) continue;
+    if (typeof src.value === 'object') return parseSendAt(src.value.at, src.value.timezone || src.value.tz || src.timeZone);
+    return parseSendAt(src.value, src.timeZone);
+  }
+  return null;
+}
+
+const timers = new Map();
+
+// Arm (or re-arm) the timer for an instance; `onFire(instanceId)` runs once at `at` (ms)
+function armSchedule(instanceId, at, onFire) {
+  cancelSchedule(instanceId);
+  const delay = Math.max(0, at - Date.now());
+  const timer = setTimeout(() => {
+    if (delay > MAX_TIMER_MS) return armSchedule(instanceId, at, onFire);
+    timers.delete(instanceId);
+    onFire(instanceId);
+  }, Math.min(delay, MAX_TIMER_MS));
+  timers.set(instanceId, { timer, at });
+}
+
+function cancelSchedule(instanceId) {
+  const entry = timers.get(instanceId);
+  if (!entry) return false;
+  clearTimeout(entry.timer);
+  timers.delete(instanceId);
+  return true;
+}
+
+function listDirs(dir) {
+  try {
+    return fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name);
+  } catch (_) {
+    return [];
+  }
+}
+
+// Instances (and recurring run folders <instance>/runs/<run_id>) under agentFolder
+// whose meta.json is in the `scheduled` state
+function discoverScheduled(agentFolder) {
+  if (!agentFolder || !fs.existsSync(agentFolder)) return [];
+  const found = [];
+  const check = (instanceId) => {
+    try {
+      const meta = JSON.parse(fs.readFileSync(path.join(agentFolder, instanceId, 'meta.json'), 'utf8'));
+      const at = meta && meta.status === 'scheduled' && meta.scheduled_send && Date.parse(meta.scheduled_send.send_at);
+      if (at && !Number.isNaN(at)) found.push({ instanceId, at });
+    } catch (_) {
+      // not an instance folder or unreadable meta.json
+    }
+  };
+  listDirs(agentFolder).forEach((name) => {
+    check(name);
+    listDirs(path.join(agentFolder, name, 'runs')).forEach(run => check(`${name}/runs/${run}`));
+  });
+  return found;
+}
+
+module.exports = { parseSendAt, resolveSendAt, armSchedule, cancelSchedule, discoverScheduled, listDirs };
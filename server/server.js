@@ -17,15 +17,12 @@ function formatDateYMDHMS(date) {
   return `${date.getFullYear()}-${pad(date.getMonth()+1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
 }
 
-// Helper to update meta.json for agent state, with optional extra fields
-function updateMetaJson(metaPath, state, updates) {
-  try {
-    if (!fs.existsSync(metaPath)) {
-      throw new Error(`meta.json not found at ${metaPath}`);
-    }
-    const raw = fs.readFileSync(metaPath, 'utf8');
-    const meta = JSON.parse(raw);
-    const prevStatus = meta && typeof meta.status === 'string' ? meta.status.toLowerCase() : undefined;
+// Helper to update meta.json for agent state, with optional extra fields.
+// `updates` may be a function of the current meta (for fields derived from it, e.g. counters),
+// so it is evaluated against the file as written by the previous update, never a stale read.
+// `options.expectedRevision` rejects the write when meta.json moved on (revision_conflict).
+function updateMetaJson(metaPath, state, updates, options) {
+  const result = mutateMeta(metaPath, (meta) => {
     const now = new Date();
     if (state === 'active') {
       meta.status = 'active';
@@ -40,17 +37,25 @@ function updateMetaJson(metaPath, state, updates) {
     } else if (state === 'wait') {
       meta.status = 'wait';
       meta.wait_started_at = formatDateYMDHMS(now);
+    } else if (state === 'scheduled') {
+      meta.status = 'scheduled';
     }
-    if (updates && typeof updates === 'object') {
-      Object.assign(meta, updates);
+    const extra = typeof updates === 'function' ? updates(meta) : updates;
+    if (extra && typeof extra === 'object') {
+      Object.assign(meta, extra);
     }
-    fs.writeFileSync(metaPath, JSON.stringify(meta, null, 2), 'utf8');
-    const nextStatus = meta && typeof meta.status === 'string' ? meta.status.toLowerCase() : undefined;
-    maybeTriggerSummaryRegeneration(metaPath, prevStatus, nextStatus);
-    return null;
-  } catch (e) {
-    return e.message || String(e);
-  }
+    return meta;
+  }, {
+    expectedRevision: options && options.expectedRevision,
+    onCommit: (meta, prevStatus) => {
+      const nextStatus = typeof meta.status === 'string' ? meta.status.toLowerCase() : undefined;
+      if (nextStatus !== prevStatus) {
+        publish(deriveInstanceIdFromMeta(metaPath), 'status', { status: nextStatus, previous: prevStatus || null, last_error: meta.last_error || null });
+      }
+      maybeTriggerSummaryRegeneration(metaPath, prevStatus, nextStatus);
+    },
+  });
+  return result.error || null;
 }
 
 // Append a progress entry to log service (no longer writes meta.json progress)
@@ -58,7 +63,7 @@ function appendProgress(metaPath, message) {
   try {
     const instanceRoot = path.dirname(metaPath);
     const runLogOverride = path.join(instanceRoot, 'logs', 'run.log');
-    const instanceId = path.basename(instanceRoot);
+    const instanceId = instanceIdFromStateDir(instanceRoot);
     const progressMsg = `[progress] ${String(message)}`;
     agent_log({
       message: progressMsg,
@@ -66,6 +71,7 @@ function appendProgress(metaPath, message) {
       service: 'email-agent',
       runLogOverride
     });
+    publish(instanceId, 'progress', { message: String(message) });
     return null;
   } catch (e) {
     return e.message || String(e);
@@ -170,6 +176,27 @@ function isMetaStatus(metaPath, status) {
   const meta = readMeta(metaPath);
   return !!(meta && meta.status === status);
 }
+
+// Synchronous sends start a run like the async routes do, so the send may then wait for HITL
+// or be scheduled. An aborted instance is left as is for sendEmailFlow to refuse unless
+// `reopenAborted` (a new /send request, as the async route allows). Returns an error or null.
+function activateForSend(ctx, base, label, { reopenAborted = false } = {}) {
+  if (!ctx.paths) return null;
+  const meta = readMeta(ctx.paths.meta);
+  if (!meta || meta.status === 'active' || (meta.status === 'abort' && !reopenAborted)) return null;
+  const metaErr = updateMetaJson(ctx.paths.meta, 'active', { last_error: null });
+  if (metaErr) return metaErr;
+  agent_log({ message: `state - active (${label})`, config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
+  return null;
+}
+
+// A synchronous send that failed ends its run as an async one does: aborted with last_error
+function abortFailedSend(ctx, base, error) {
+  if (!ctx.paths || !isMetaStatus(ctx.paths.meta, 'active')) return;
+  const metaErr = updateMetaJson(ctx.paths.meta, 'abort', { last_error: error });
+  if (metaErr) agent_log({ message: `meta.json error: ${metaErr}`, config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
+  else agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
+}
 // Minimal REST wrapper for the email agent
 // No external deps: uses Node http + child_process
 
@@ -178,9 +205,27 @@ const url = require('url');
 const fs = require('fs');
 const path = require('path');
 const fetch = require('node-fetch');
-const { generateHtml } = require('./llm');
-const { sendEmail } = require('./gmail');
+const { generateHtml, listModels, partialAnswer } = require('./llm');
+const { getCacheConfig } = require('./llm-cache');
+const { readMetaFile, writeMetaFile, mutateMeta } = require('./meta-store');
+const { getIdempotencyConfig, readIdempotencyKey, sendFingerprint, sendComplete, findRecentSend, recordSend, updateSendRecord } = require('./idempotency');
+const { acquireInstanceLock, releaseInstanceLock, describeLock } = require('./instance-lock');
+const { getJobQueueConfig, initJobQueue, registerJobHandler, enqueueJob, listJobs, recoverJobs } = require('./jobs');
+const { getPriceTable, priceAttempts, summarizeAttempts, addUsage, collectUsageByOwner } = require('./usage');
+const { publish, subscribe, hasSubscribers, setLiveGeneration, getLiveGeneration, clearLiveGeneration, formatSse } = require('./events');
+const { sanitizeEmailHtml, describeSanitizeReport } = require('./sanitize');
+const { inlineCss, getCssInlineConfig } = require('./css-inline');
+const { lintEmailHtml, getLintConfig, describeLintReport } = require('./lint');
+const { sendEmail } = require('./transport');
 const { agent_log, appendLogLocal } = require('./logger');
+const { htmlToText } = require('./plaintext');
+const { resolveAttachments, getAttachmentLimits } = require('./attachments');
+const { embedInlineImages } = require('./inline-images');
+const { normalizeEvent, buildIcs, describeEventForPrompt } = require('./calendar');
+const { getMailMergeConfig, loadMergeRecipients, renderForRecipient, listPlaceholders, describeMergeForPrompt } = require('./merge');
+const { resolveSendAt, parseSendAt, armSchedule, cancelSchedule, discoverScheduled, listDirs } = require('./scheduler');
+const { nextRun, getRecurringConfig } = require('./cron');
+const { getBatchConfig, planDeliveries, contentHash, createLedger, readLedger, writeLedger, pendingUnits, markUnit, summarizeLedger, mergeResults } = require('./deliveries');
 
 const LOG_API_URL = process.env.LOG_API_URL || 'http://localhost:4000/api/log';
 const LOG_SERVICE_BASE = LOG_API_URL.replace(/\/api\/log\/?$/, '');
@@ -208,7 +253,7 @@ function deriveInstanceIdFromMeta(metaPath) {
     if (!metaPath) return null;
     const instanceDir = path.dirname(metaPath);
     if (!instanceDir) return null;
-    return path.basename(instanceDir) || null;
+    return instanceIdFromStateDir(instanceDir) || null;
   } catch (_) {
     return null;
   }
@@ -290,18 +335,34 @@ function readJsonBody(req) {
   });
 }
 
-// Helper to resolve all paths based on instance folder or fallback to project root
+// Recurring run folders (<instance>/runs/<run_id>) are addressed as "<instance>/runs/<run_id>"
+function instanceIdFromStateDir(dir) {
+  const parent = path.dirname(dir);
+  if (path.basename(parent) === 'runs') return `${path.basename(path.dirname(parent))}/runs/${path.basename(dir)}`;
+  return path.basename(dir);
+}
+
+// Helper to resolve all paths based on instance folder or fallback to project root.
+// `root` holds inputs (config, prompt, assets, attachments); `state` holds meta.json, logs,
+// artifacts and ledgers. They differ only for recurring run folders, which read their
+// inputs from the parent instance.
 function resolveAgentPaths(instancePath) {
-  const root = instancePath ? path.resolve(instancePath) : path.resolve(__dirname, '..');
+  const state = instancePath ? path.resolve(instancePath) : path.resolve(__dirname, '..');
+  const parentRoot = path.dirname(path.dirname(state));
+  const isRun = !!instancePath && path.basename(path.dirname(state)) === 'runs' && fs.existsSync(path.join(parentRoot, 'config.json'));
+  const root = isRun ? parentRoot : state;
   return {
     root,
+    state,
+    instanceId: instanceIdFromStateDir(state),
+    meta: path.join(state, 'meta.json'),
     config: path.join(root, 'config.json'),
     prompt: path.join(root, 'prompt.txt'),
-    logs: path.join(root, 'logs'),
-    runLog: path.join(root, 'logs', 'run.log'),
-    artifacts: path.join(root, 'artifacts'),
-    outputs: path.join(root, 'artifacts'), // alias for clarity
-    tmp: path.join(root, 'artifacts', 'tmp'),
+    logs: path.join(state, 'logs'),
+    runLog: path.join(state, 'logs', 'run.log'),
+    artifacts: path.join(state, 'artifacts'),
+    outputs: path.join(state, 'artifacts'), // alias for clarity
+    tmp: path.join(state, 'artifacts', 'tmp'),
   };
 }
 
@@ -365,11 +426,11 @@ function resolveContext(body, { activate } = {}) {
     fs.mkdirSync(paths.logs, { recursive: true });
     fs.mkdirSync(paths.artifacts, { recursive: true });
     if (activate) {
-      const metaPath = path.join(paths.root, 'meta.json');
+      const metaPath = paths.meta;
       const metaErr = updateMetaJson(metaPath, 'active');
       if (metaErr) return { error: `meta.json error: ${metaErr}`, paths, base };
       agent_log({ message: 'state - active', config: normalizeConfig(base), runLogOverride: paths.runLog });
-      appendLogLocal(`instance folder: ${paths.root}`, paths.runLog);
+      appendLogLocal(`instance folder: ${paths.state}`, paths.runLog);
       if (base.instance_id) {
         const lastPart = path.basename(paths.root);
         if (lastPart !== base.instance_id) return { error: `instance_id mismatch: config has '${base.instance_id}', folder is '${lastPart}'`, paths, base };
@@ -399,14 +460,16 @@ function resolveOutputPathRel(body, base, ctx) {
   return path.join('outputs', 'email.html');
 }
 
-function preparePromptText(promptText, body, base, ctx) {
+function preparePromptText(promptText, body, base, ctx, { extraSections = [] } = {}) {
   const userInstr = (body.instructions || '').trim();
   const keyInstrSection = buildKeyInstructionsSection(userInstr);
+  // Structured sections (event details, personalization fields) ride along with every prompt variant
+  const extraNote = extraSections.filter(Boolean).map(sec => `\n\n${sec}`).join('');
   const jsonAnswerNote = 'IMPORTANT: The orchestrator expects a JSON response. Populate the "answer" field with the complete HTML email (including required HTML structure) and do not return any content outside of the JSON contract.';
   // Default path: no additional instructions, use the main prompt unchanged.
   if (!userInstr) {
     const promptWithKeys = injectKeyInstructionsIntoPrompt(promptText, keyInstrSection);
-    return { prompt: `${promptWithKeys}\n\n${jsonAnswerNote}`, usedExistingHtml: false };
+    return { prompt: `${promptWithKeys}${extraNote}\n\n${jsonAnswerNote}`, usedExistingHtml: false };
   }
 
   const defaultBase = (ctx.paths && ctx.paths.artifacts) ? path.join(ctx.paths.artifacts, 'email.html') : (base.HTML_OUTPUT || path.join('outputs', 'email.html'));
@@ -418,19 +481,20 @@ function preparePromptText(promptText, body, base, ctx) {
   if (baseHtml) {
     // Regeneration path: avoid reusing the original prompt; focus solely on applying new instructions to the existing HTML.
     const simpleHeader = 'Apply the [KEY INSTRUCTIONS] to the included HTML email text to generate the new HTML email.';
-    const promptBody = `${simpleHeader}\n\n${keyInstrSection}\n\nHere is the current HTML email to modify:\n\n\`\`\`html\n${baseHtml}\n\`\`\`\n\n${jsonAnswerNote}`;
+    const promptBody = `${simpleHeader}\n\n${keyInstrSection}\n\nHere is the current HTML email to modify:\n\n\`\`\`html\n${baseHtml}\n\`\`\`${extraNote}\n\n${jsonAnswerNote}`;
     return { prompt: promptBody, usedExistingHtml: true };
   }
   // Fallback: no existing HTML available; include key instructions with the original prompt.
   const promptWithKeys = injectKeyInstructionsIntoPrompt(promptText, keyInstrSection);
-  return { prompt: `${promptWithKeys}\n\n${jsonAnswerNote}`, usedExistingHtml: false };
+  return { prompt: `${promptWithKeys}${extraNote}\n\n${jsonAnswerNote}`, usedExistingHtml: false };
 }
 
 function getLLMConfig(body) {
   const provider = body.provider || process.env.LLM_PROVIDER || 'ollama';
-  const envEndpoint = process.env.LLM_ENDPOINT || process.env.OLLAMA_ENDPOINT || 'http://127.0.0.1:11434';
-  const model = body.model || process.env.LLM_MODEL || 'llama3.1';
-  const endpoint = body.endpoint || envEndpoint;
+  // Unset model/endpoint: each provider applies its own default (ollama 127.0.0.1:11434,
+  // openai-compatible 127.0.0.1:8000 and the first listed model)
+  const model = body.model || process.env.LLM_MODEL || undefined;
+  const endpoint = body.endpoint || process.env.LLM_ENDPOINT || process.env.OLLAMA_ENDPOINT || undefined;
   let options = body.options;
   if (!options && process.env.LLM_OPTIONS) { try { options = JSON.parse(process.env.LLM_OPTIONS); } catch (_) { options = {}; } }
   return { provider, model, endpoint, options: options || {} };
@@ -452,6 +516,81 @@ function writeHtmlWithArchive(outputPath, html, runLogPath) {
   appendLogLocal(`[PROGRESS] HTML email generated: ${outputPath}`, runLogPath);
 }
 
+// Keep the pre-inlining HTML next to the output (email.html -> email.raw.html) so reviewers
+// can compare it with the inlined version that is sent.
+// A null html (nothing inlined) removes a stale copy from an earlier generation.
+function writeRawHtml(htmlOutputPath, html, runLogPath) {
+  const rawPath = htmlOutputPath.replace(/\.html?$/i, '') + '.raw.html';
+  if (html === null) {
+    if (fs.existsSync(rawPath)) fs.unlinkSync(rawPath);
+    return null;
+  }
+  fs.writeFileSync(rawPath, html, 'utf8');
+  appendLogLocal(`[PROGRESS] Raw (pre-inlining) HTML saved: ${rawPath}`, runLogPath);
+  return rawPath;
+}
+
+// Save the plain-text alternative next to the HTML (email.html -> email.txt) for reviewers.
+// The send path derives the same text from whatever HTML is finally sent.
+function writeTextAlternative(htmlOutputPath, html, runLogPath) {
+  const textPath = htmlOutputPath.replace(/\.html?$/i, '') + '.txt';
+  fs.writeFileSync(textPath, htmlToText(html), 'utf8');
+  appendLogLocal(`[PROGRESS] Plain-text version generated: ${textPath}`, runLogPath);
+  return textPath;
+}
+
+// Rewrite <img> tags pointing at assets/ files or data: URIs to cid: references.
+// Runs after generation to report what will be embedded (email.html keeps its original
+// src values so it still previews in a browser) and again at send time on the final HTML.
+function prepareInlineImages(html, base, ctx) {
+  const runLogPath = ctx.paths ? ctx.paths.runLog : undefined;
+  const result = embedInlineImages(html, ctx.paths ? ctx.paths.root : REPO_ROOT, { maxBytes: getAttachmentLimits(base).maxBytes });
+  result.warnings.forEach(w => appendLogLocal(`[WARN] ${w}`, runLogPath));
+  if (result.inlineImages.length) {
+    appendLogLocal(`[INFO] Inline images (cid): ${result.inlineImages.map(i => `${i.filename} -> ${i.cid}`).join(', ')}`, runLogPath);
+  }
+  return result;
+}
+
+// Lint the HTML about to be reviewed/sent; writes artifacts/lint.json and a progress summary.
+// Returns null when linting is disabled, else the report plus `blocked` (errors + block_on_error).
+function runPreSendLint(html, htmlPath, base, ctx) {
+  const cfg = getLintConfig(base);
+  if (!cfg.enabled) return null;
+  const runLogPath = ctx.paths ? ctx.paths.runLog : undefined;
+  const lint = lintEmailHtml(html, { maxBytes: cfg.maxBytes });
+  const record = { checked_at: new Date().toISOString(), html_path: htmlPath || null, ...lint };
+  const lintDir = ctx.paths ? ctx.paths.artifacts : OUTPUTS_DIR;
+  try {
+    fs.mkdirSync(lintDir, { recursive: true });
+    fs.writeFileSync(path.join(lintDir, 'lint.json'), JSON.stringify(record, null, 2), 'utf8');
+  } catch (e) {
+    appendLogLocal(`[WARN] Unable to write lint.json: ${e.message || e}`, runLogPath);
+  }
+  lint.issues.forEach((issue) => {
+    const examples = issue.examples.length ? `: ${issue.examples.join(' | ')}` : '';
+    appendLogLocal(`[${issue.severity === 'error' ? 'WARN' : 'INFO'}] lint ${issue.rule} (${issue.severity}, x${issue.count}) ${issue.message}${examples}`, runLogPath);
+  });
+  if (ctx.paths) appendProgress(ctx.paths.meta, describeLintReport(lint));
+  return { ...lint, blocked: cfg.blockOnError && lint.errors > 0 };
+}
+
+// Normalize the optional `event` config block; the sender is the default organizer
+function resolveEvent(base) {
+  if (!base || !base.event) return { event: null };
+  return normalizeEvent(base.event, { organizerName: base.SENDER_NAME, organizerEmail: base.SENDER_EMAIL });
+}
+
+function buildInviteAttachment(event, ctx) {
+  const content = buildIcs(event, { uidSeed: getInstanceIdFromCtx(ctx) });
+  return {
+    filename: 'invite.ics',
+    contentType: `text/calendar; charset=UTF-8; method=${event.method}`,
+    content: Buffer.from(content, 'utf8'),
+    size: Buffer.byteLength(content, 'utf8'),
+  };
+}
+
 function buildRecipients(base) {
   function toArray(v) {
     if (!v) return [];
@@ -507,11 +646,26 @@ function appendLlmTrace(rootPath, entry, runLogPath) {
   }
 }
 
+// Price the generation's calls, log the totals and add them to meta.json `llm_usage`.
+// Returns the generation summary for the trace entry.
+function recordLlmUsage(attempts, base, ctx) {
+  priceAttempts(attempts, getPriceTable(base));
+  const usage = summarizeAttempts(attempts);
+  const cost = typeof usage.cost_usd === 'number' ? `, est. $${usage.cost_usd}` : '';
+  appendLogLocal(`[INFO] LLM usage: ${usage.input_tokens} input + ${usage.output_tokens} output tokens in ${usage.calls} call(s), ${usage.latency_ms}ms${cost}`, ctx.paths ? ctx.paths.runLog : undefined);
+  if (ctx.paths) {
+    const metaErr = updateMetaJson(ctx.paths.meta, null, meta => ({ llm_usage: addUsage(meta.llm_usage, usage) }));
+    if (metaErr) appendLogLocal(`[ERROR] Failed to record LLM usage in meta.json: ${metaErr}`, ctx.paths.runLog);
+  }
+  return usage;
+}
+
 // ---- Human-in-the-loop (HITL) integration ----
 // These helpers encapsulate the configuration and the REST call to the external
 // HITL agent. The send flow below uses them to block on human approval,
 // optionally apply human-provided HTML, or re-generate based on human input.
 function getInstanceIdFromCtx(ctx) {
+  if (ctx && ctx.paths && ctx.paths.instanceId) return ctx.paths.instanceId;
   if (ctx && ctx.paths && ctx.paths.root) return path.basename(ctx.paths.root);
   return undefined;
 }
@@ -552,7 +706,7 @@ async function resolveOrgIdForUsername(username) {
 }
 
 function resolveUsernameFromCtx(ctx) {
-  const metaPath = ctx && ctx.paths ? path.join(ctx.paths.root, 'meta.json') : null;
+  const metaPath = ctx && ctx.paths ? ctx.paths.meta : null;
   if (!metaPath) return '';
   try {
     if (!fs.existsSync(metaPath)) return '';
@@ -571,13 +725,65 @@ function getHitlConfig(base) {
   return a || b || c || {};
 }
 
+const HITL_LIMIT_OUTCOMES = ['abort', 'approve', 'escalate'];
+const DEFAULT_HITL_MAX_LOOPS = 3;
+
+/**
+ * Review-round limit: `max_loops` in the instance HITL section (env HITL_MAX_LOOPS, default 3)
+ * caps modify → review cycles; `on_max_loops` (env HITL_ON_MAX_LOOPS) picks what a modify past
+ * the limit does: "abort" (default), "approve" (send the last reviewed HTML) or "escalate".
+ */
+function getHitlLoopConfig(base) {
+  const hitlCfg = getHitlConfig(base);
+  const rawMax = hitlCfg.max_loops !== undefined ? hitlCfg.max_loops : process.env.HITL_MAX_LOOPS;
+  const maxLoops = Number(rawMax);
+  const rawOutcome = String(hitlCfg.on_max_loops || process.env.HITL_ON_MAX_LOOPS || 'abort').trim().toLowerCase();
+  return {
+    maxLoops: rawMax !== undefined && rawMax !== '' && Number.isInteger(maxLoops) && maxLoops >= 0 ? maxLoops : DEFAULT_HITL_MAX_LOOPS,
+    onLimit: HITL_LIMIT_OUTCOMES.includes(rawOutcome) ? rawOutcome : 'abort',
+  };
+}
+
+// Keep the HTML of each review round (artifacts/hitl/round-<n>-<timestamp>.html) and list it in
+// meta.json `hitl_rounds`; loop 0 starts a new review cycle. Returns the path relative to the
+// instance (or recurring run) folder.
+function recordHitlRound(html, loopIndex, ctx, escalation) {
+  const dir = path.join(ctx.paths.artifacts, 'hitl');
+  const file = path.join(dir, `round-${loopIndex}-${formatRunId(new Date())}.html`);
+  const rel = path.relative(ctx.paths.state, file);
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    fs.writeFileSync(file, html || '', 'utf8');
+  } catch (e) {
+    appendLogLocal(`[ERROR] Failed to keep HITL round ${loopIndex} HTML: ${e.message}`, ctx.paths.runLog);
+  }
+  const round = { loop: loopIndex, html_path: rel, sent_at: new Date().toISOString(), ...(escalation ? { escalation: true } : {}) };
+  const metaErr = updateMetaJson(ctx.paths.meta, null, meta => ({
+    hitl_loop: loopIndex,
+    hitl_rounds: (loopIndex ? meta.hitl_rounds || [] : []).concat(round),
+    hitl_escalated: loopIndex ? meta.hitl_escalated : undefined,
+  }));
+  if (metaErr) appendLogLocal(`[ERROR] Failed to record HITL round in meta.json: ${metaErr}`, ctx.paths.runLog);
+  return rel;
+}
+
+// Note the reviewer's response on the latest round
+function recordHitlDecision(metaPath, response, information) {
+  return updateMetaJson(metaPath, null, (meta) => {
+    const rounds = (meta.hitl_rounds || []).slice();
+    if (!rounds.length) return null;
+    rounds[rounds.length - 1] = { ...rounds[rounds.length - 1], response, information: information || undefined, responded_at: new Date().toISOString() };
+    return { hitl_rounds: rounds };
+  });
+}
+
 /**
  * Call the configured HITL REST endpoint with current context.
  * Expects a JSON response with one of the statuses:
  *  - no-hitl: proceed without blocking
  *  - waiting-for-response: pause and wait for WI callback
  */
-async function callHitlAgent({ instanceId, htmlPath, html, ctx, base, loopIndex }) {
+async function callHitlAgent({ instanceId, htmlPath, html, attachments, lint, ctx, base, loopIndex, escalation }) {
   const url = getHitlApiUrl();
   const hitlCfg = getHitlConfig(base);
   const username = resolveUsernameFromCtx(ctx);
@@ -594,7 +800,11 @@ async function callHitlAgent({ instanceId, htmlPath, html, ctx, base, loopIndex
     hitl: hitlCfg, 
     HITL: base && base['HITL'], 
     human_in_the_loop: base && base['human-in-the-loop'], 
-    loop: loopIndex
+    attachments: (attachments || []).map(a => ({ filename: a.filename, content_type: a.contentType, size: a.size })),
+    lint: lint ? { passed: lint.passed, errors: lint.errors, warnings: lint.warnings, size_bytes: lint.size_bytes, issues: lint.issues } : undefined,
+    loop: loopIndex,
+    max_loops: getHitlLoopConfig(base).maxLoops,
+    escalation
   };
   try {
     const res = await fetch(url, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(payload) });
@@ -632,15 +842,60 @@ async function callHitlAgent({ instanceId, htmlPath, html, ctx, base, loopIndex
   }
 }
 
+// Partial HTML is re-extracted from the streamed reply at most this often
+const STREAM_HTML_INTERVAL_MS = 500;
+
+// generateHtml onStream handler: relays token progress and partial HTML to stream subscribers
+// and keeps the live snapshot served to late subscribers
+function relayLlmStream(instanceId) {
+  let live = null;
+  let lastHtml = '';
+  let lastHtmlAt = 0;
+  return (evt) => {
+    if (evt.type === 'start') {
+      live = { attempt: evt.attempt, repair: evt.repair, provider: evt.provider, model: evt.model, started_at: new Date().toISOString(), text: '' };
+      lastHtml = '';
+      lastHtmlAt = 0;
+      setLiveGeneration(instanceId, live);
+      publish(instanceId, 'llm_start', { attempt: evt.attempt, repair: evt.repair, provider: evt.provider, model: evt.model });
+      return;
+    }
+    if (evt.type !== 'token' || !live) return;
+    live.text += evt.text;
+    publish(instanceId, 'token', { text: evt.text, chars: live.text.length });
+    const now = Date.now();
+    if (now - lastHtmlAt < STREAM_HTML_INTERVAL_MS) return;
+    lastHtmlAt = now;
+    const partial = partialAnswer(live.text);
+    if (partial && partial !== lastHtml) {
+      lastHtml = partial;
+      publish(instanceId, 'html', { html: partial, partial: true });
+    }
+  };
+}
+
 async function generateEmailFlow(body, ctxMaybe) {
   const ctx = ctxMaybe || resolveContext(body, { activate: true });
   if (ctx.error) return { error: ctx.error, ctx, base: ctx.base };
   const base = ctx.base;
   const promptPath = resolvePromptPath(body, base, ctx);
   const promptText = body.promptText || fs.readFileSync(promptPath, 'utf8');
-  const prep = preparePromptText(promptText, body, base, ctx);
+  const eventResult = resolveEvent(base);
+  if (eventResult.error) return { error: eventResult.error, ctx, base };
+  const mergeCfg = getMailMergeConfig(base);
+  const merge = mergeCfg ? loadMergeRecipients(mergeCfg, ctx.paths ? ctx.paths.root : REPO_ROOT) : null;
+  if (merge && merge.error) return { error: merge.error, ctx, base };
+  const prep = preparePromptText(promptText, body, base, ctx, {
+    extraSections: [
+      eventResult.event ? describeEventForPrompt(eventResult.event) : '',
+      merge ? describeMergeForPrompt(merge.fields, mergeCfg.emailField) : '',
+    ],
+  });
   if (prep.error) return { errorObj: prep.error, ctx, base };
   const { provider, model, endpoint, options } = getLLMConfig(body);
+  // Opt-in response cache: body.cache ("use" | "refresh" | "off"), else LLM_CACHE
+  const cache = getCacheConfig(body.cache, path.join(process.env.AGENT_FOLDER || OUTPUTS_DIR, '.llm-cache'));
+  if (cache.error) return { error: cache.error, ctx, base };
   appendLogLocal('[INFO] Prompt prepared', ctx.paths ? ctx.paths.runLog : undefined);
   appendLogLocal('--- Prompt Start ---', ctx.paths ? ctx.paths.runLog : undefined);
   appendLogLocal(prep.prompt, ctx.paths ? ctx.paths.runLog : undefined);
@@ -650,27 +905,60 @@ async function generateEmailFlow(body, ctxMaybe) {
   agent_log({ message: llmCallLabel, config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
   // Progress: LLM generating email
   if (ctx.paths) {
-    appendProgress(path.join(ctx.paths.root, 'meta.json'), 'llm generating email');
+    appendProgress(ctx.paths.meta, 'llm generating email');
     // Log locally for the instance instead of agent_log (no remote)
     appendLogLocal('llm generating email', ctx.paths.runLog);
   }
   
-  let llmText, html, reasoning, llmPromptUsed, llmModelUsed, llmAnswer;
+  let llmText, html, reasoning, llmPromptUsed, llmModelUsed, llmProviderUsed, llmAnswer, llmAttempts, llmFallback, llmCache;
+  const streamId = ctx.paths ? getInstanceIdFromCtx(ctx) : undefined;
   try {
-    const result = await generateHtml({ provider, model, endpoint, prompt: prep.prompt, options });
+    // Instance `llm` block: timeout_ms, retries, backoff_ms and the ordered `fallbacks` chain
+    const result = await generateHtml({
+      provider,
+      model,
+      endpoint,
+      prompt: prep.prompt,
+      options,
+      failover: base && base.llm,
+      // Only stream while a client is connected; otherwise keep the single-response request
+      // (and LLM_TIMEOUT_MS as a limit on the whole reply)
+      onStream: hasSubscribers(streamId) ? relayLlmStream(streamId) : undefined,
+      cache,
+    });
+    clearLiveGeneration(streamId);
     llmText = result.text;
     html = result.html;
     reasoning = result.reasoning;
     llmPromptUsed = result.prompt;
     llmModelUsed = result.model || model;
+    llmProviderUsed = result.provider || provider;
     llmAnswer = result.answer;
+    llmAttempts = result.attempts || [];
+    llmFallback = result.fallback;
+    llmCache = result.cache;
   } catch (e) {
     const errorMsg = e.message || String(e);
+    clearLiveGeneration(streamId);
+    publish(streamId, 'llm_error', { error: errorMsg });
     appendLogLocal(`[ERROR] LLM generation failed: ${errorMsg}`, ctx.paths ? ctx.paths.runLog : undefined);
+    if (e.attempts) {
+      const usage = recordLlmUsage(e.attempts, base, ctx);
+      if (ctx.paths) {
+        appendLlmTrace(ctx.paths.state, {
+          call_time: new Date().toISOString(),
+          model,
+          prompt: prep.prompt,
+          error: errorMsg,
+          attempts: e.attempts,
+          usage,
+        }, ctx.paths.runLog);
+      }
+    }
     
     // Any LLM error is non-recoverable, abort the instance
     if (ctx.paths) {
-      const metaPath = path.join(ctx.paths.root, 'meta.json');
+      const metaPath = ctx.paths.meta;
       appendProgress(metaPath, `llm error: ${summarizeInfoText(errorMsg)}`);
       const metaErr = updateMetaJson(metaPath, 'abort', { last_error: errorMsg });
       if (metaErr) {
@@ -683,6 +971,39 @@ async function generateEmailFlow(body, ctxMaybe) {
   }
   
   const runLogTarget = ctx.paths ? ctx.paths.runLog : undefined;
+  if (llmCache) {
+    const created = llmCache.created_at ? ` (stored ${llmCache.created_at})` : '';
+    appendLogLocal(`[INFO] LLM cache ${llmCache.status}: ${llmCache.key}${created}`, runLogTarget);
+    if (llmCache.error) appendLogLocal(`[WARN] LLM cache write failed: ${llmCache.error}`, runLogTarget);
+    if (ctx.paths && llmCache.status === 'hit') appendProgress(ctx.paths.meta, `llm response replayed from cache (${llmCache.key.slice(0, 12)})`);
+  }
+  const llmUsage = recordLlmUsage(llmAttempts, base, ctx);
+  const callErrors = llmAttempts.filter(a => a.outcome === 'error');
+  callErrors.forEach((a) => {
+    appendLogLocal(`[WARN] LLM call to ${a.provider}${a.model ? ` (${a.model})` : ''} failed: ${a.error}`, runLogTarget);
+  });
+  publish(streamId, 'llm_done', { provider: llmProviderUsed, model: llmModelUsed, attempts: llmAttempts.length, fallback: llmFallback || null });
+  if (ctx.paths) {
+    if (callErrors.length) {
+      appendProgress(ctx.paths.meta, `llm failover: ${callErrors.length} failed call(s), email generated by ${llmProviderUsed} (${llmModelUsed})`);
+    }
+    updateMetaJson(ctx.paths.meta, null, {
+      llm_provider: llmProviderUsed,
+      llm_model: llmModelUsed,
+      // undefined drops a stale entry from an earlier cached run
+      llm_cache: llmCache ? { status: llmCache.status, key: llmCache.key, at: new Date().toISOString() } : undefined,
+    });
+  }
+  const failedAttempts = llmAttempts.filter(a => a.outcome === 'invalid_json');
+  failedAttempts.forEach((a) => {
+    appendLogLocal(`[WARN] LLM attempt ${a.attempt} broke the JSON contract: ${a.error}`, runLogTarget);
+  });
+  if (llmFallback) {
+    appendLogLocal(`[WARN] No valid JSON after ${llmAttempts.length} attempt(s); using HTML extracted from the last response`, runLogTarget);
+    if (ctx.paths) appendProgress(ctx.paths.meta, `llm output unparseable after ${llmAttempts.length} attempt(s); using extracted html`);
+  } else if (failedAttempts.length && ctx.paths) {
+    appendProgress(ctx.paths.meta, `llm json repaired after ${llmAttempts.length} attempt(s)`);
+  }
   const llmResponse = llmText || llmAnswer || html || '';
   if (llmResponse) {
     const logFn = (msg) => appendLogLocal(msg, runLogTarget);
@@ -695,7 +1016,7 @@ async function generateEmailFlow(body, ctxMaybe) {
     appendLogLocal('--- LLM Response End ---', runLogTarget);
   }
   if (ctx.paths) {
-    const metaPath = path.join(ctx.paths.root, 'meta.json');
+    const metaPath = ctx.paths.meta;
     if (isMetaStatus(metaPath, 'abort')) {
       agent_log({
         message: 'Returned from LLM generating email, the instance has been aborted, exit processing.',
@@ -705,31 +1026,424 @@ async function generateEmailFlow(body, ctxMaybe) {
       return { aborted: true, ctx, base };
     }
   }
-  if (ctx.paths && reasoning) {
-    appendLlmTrace(ctx.paths.root, {
+  // Sanitize before anything is written: strip active content, balance tags, full document
+  const sanitized = sanitizeEmailHtml(html);
+  html = sanitized.html;
+  const sanitizeSummary = describeSanitizeReport(sanitized);
+  if (sanitized.removed.length) {
+    appendLogLocal(`[WARN] HTML sanitizer: ${sanitizeSummary}`, runLogTarget);
+    if (ctx.paths) appendProgress(ctx.paths.meta, `html sanitized: ${sanitized.removed.reduce((n, e) => n + e.count, 0)} unsafe item(s) removed`);
+  } else if (sanitized.repaired.length) {
+    appendLogLocal(`[INFO] HTML sanitizer: ${sanitizeSummary}`, runLogTarget);
+  }
+  const sanitizerTrace = (sanitized.removed.length || sanitized.repaired.length)
+    ? { removed: sanitized.removed, repaired: sanitized.repaired }
+    : undefined;
+  if (ctx.paths) {
+    appendLlmTrace(ctx.paths.state, {
       call_time: new Date().toISOString(),
+      provider: llmProviderUsed,
       model: llmModelUsed || model,
       prompt: llmPromptUsed || prep.prompt,
       reasoning,
+      fallback: llmFallback,
+      attempts: llmAttempts,
+      usage: llmUsage,
+      cache: llmCache ? { status: llmCache.status, key: llmCache.key } : undefined,
+      sanitizer: sanitizerTrace,
     }, ctx.paths.runLog);
   }
   agent_log({ message: `completed generating email using LLM (model: ${llmModelUsed || model})`, config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
   // Progress: writing html output
   if (ctx.paths) {
-    appendProgress(path.join(ctx.paths.root, 'meta.json'), 'saving html email to file');
+    appendProgress(ctx.paths.meta, 'saving html email to file');
     // Log locally for the instance instead of agent_log
     appendLogLocal('writing html email to file', ctx.paths.runLog);
   }
   const htmlOutputRel = resolveOutputPathRel(body, base, ctx);
   const outputPath = absoluteFromMaybeInstance(htmlOutputRel, ctx);
+  const rawHtml = html;
+  if (getCssInlineConfig(base).enabled) {
+    const inlined = inlineCss(html);
+    html = inlined.html;
+    if (inlined.inlined) {
+      appendLogLocal(`[INFO] CSS inlined: ${inlined.inlined} rule(s) onto ${inlined.elements} element(s), ${inlined.kept} kept in <head>`, runLogTarget);
+      if (ctx.paths) appendProgress(ctx.paths.meta, `css inlined: ${inlined.inlined} rule(s), ${inlined.kept} kept in <head>`);
+    }
+  }
   writeHtmlWithArchive(outputPath, html, ctx.paths ? ctx.paths.runLog : undefined);
+  writeRawHtml(outputPath, html === rawHtml ? null : rawHtml, runLogTarget);
+  publish(streamId, 'html', { html, partial: false });
+  writeTextAlternative(outputPath, html, ctx.paths ? ctx.paths.runLog : undefined);
+  if (eventResult.event) {
+    const invitePath = path.join(path.dirname(outputPath), 'invite.ics');
+    fs.writeFileSync(invitePath, buildInviteAttachment(eventResult.event, ctx).content);
+    appendLogLocal(`[PROGRESS] Calendar invite generated: ${invitePath}`, ctx.paths ? ctx.paths.runLog : undefined);
+  }
+  const inline = prepareInlineImages(html, base, ctx);
+  if (ctx.paths && (inline.inlineImages.length || inline.warnings.length)) {
+    const warnSuffix = inline.warnings.length ? `, ${inline.warnings.length} warning(s)` : '';
+    appendProgress(ctx.paths.meta, `inline images: ${inline.inlineImages.length} embedded${warnSuffix}`);
+  }
   // Progress: generated html
   if (ctx.paths) {
-    appendProgress(path.join(ctx.paths.root, 'meta.json'), 'generated html email');
+    appendProgress(ctx.paths.meta, 'generated html email');
   }
   return { html, htmlOutputRel, outputPath, base, ctx };
 }
 
+// Validate merge rows before any review/send. With on_missing=abort, any row lacking a
+// placeholder value fails the whole send; otherwise missing fields are only logged here.
+function checkMergeRows(merge, mergeCfg, subject, html, ctx) {
+  const runLogPath = ctx.paths ? ctx.paths.runLog : undefined;
+  merge.warnings.forEach(w => appendLogLocal(`[WARN] mail merge: ${w}`, runLogPath));
+  const placeholders = listPlaceholders(`${subject || ''}\n${html || ''}`);
+  appendLogLocal(`[INFO] mail merge placeholders: ${placeholders.length ? placeholders.join(', ') : '(none)'}`, runLogPath);
+  const incomplete = merge.rows
+    .map(row => renderForRecipient(row, { subject, html, mergeCfg }))
+    .filter(r => r.missing.length);
+  if (!incomplete.length) return null;
+  const detail = incomplete.slice(0, 5).map(r => `row ${r.index} ${r.email} (${r.missing.join(', ')})`).join('; ');
+  appendLogLocal(`[WARN] mail merge: ${incomplete.length} row(s) with missing fields (on_missing=${mergeCfg.onMissing}): ${detail}`, runLogPath);
+  if (mergeCfg.onMissing === 'abort') return `mail_merge_missing_fields: ${detail}`;
+  return null;
+}
+
+// Send pending ledger units in batches, recording each outcome in deliveries.json as it happens.
+// Between batches the instance is re-checked for abort; unsent recipients stay pending for resume.
+async function deliverUnits({ ledger, merge, mergeCfg, message, batch, outboxDir, base, ctx }) {
+  const runLogPath = ctx.paths ? ctx.paths.runLog : undefined;
+  const metaPath = ctx.paths ? ctx.paths.meta : undefined;
+  const saveLedger = () => { if (ctx.paths) writeLedger(ctx.paths.state, ledger); };
+  const rowsByIndex = merge ? new Map(merge.rows.map(r => [r.index, r])) : null;
+  const units = pendingUnits(ledger);
+  // Earlier failures are retried; until then they count as pending
+  ledger.recipients.forEach((r) => { if (r.status === 'failed') r.status = 'pending'; });
+  const batchSize = batch.size || units.length;
+  const batchCount = Math.ceil(units.length / batchSize);
+  let lastId = null;
+  let aborted = false;
+  saveLedger();
+  for (let start = 0; start < units.length; start += batchSize) {
+    const batchNo = start / batchSize + 1;
+    if (start > 0 && batch.pauseMs) await new Promise(r => setTimeout(r, batch.pauseMs));
+    if (metaPath && isMetaStatus(metaPath, 'abort')) {
+      aborted = true;
+      break;
+    }
+    for (const unit of units.slice(start, start + batchSize)) {
+      let { subject, html } = message;
+      let missing;
+      if (merge) {
+        const row = rowsByIndex.get(unit.row);
+        if (!row) {
+          markUnit(ledger, unit.unit, 'failed', { error: 'mail_merge_row_not_found', batch: batchNo });
+          saveLedger();
+          continue;
+        }
+        const rendered = renderForRecipient(row, { subject, html, mergeCfg });
+        if (rendered.missing.length) missing = rendered.missing;
+        if (missing && mergeCfg.onMissing === 'skip') {
+          markUnit(ledger, unit.unit, 'skipped', { missing, batch: batchNo });
+          appendLogLocal(`[INFO] mail merge: skipped ${row.email} (missing ${missing.join(', ')})`, runLogPath);
+          saveLedger();
+          continue;
+        }
+        subject = rendered.subject;
+        html = rendered.html;
+      }
+      const label = [...unit.to, ...unit.cc, ...unit.bcc].join(', ');
+      try {
+        const data = await sendEmail(base, { ...message, to: unit.to.length ? unit.to : [message.fromEmail], cc: unit.cc, bcc: unit.bcc, subject, html }, { outboxDir });
+        lastId = data.id;
+        markUnit(ledger, unit.unit, 'sent', { id: data.id, missing, batch: batchNo });
+        appendLogLocal(`[INFO] Email sent to ${label} via ${data.transport} (id: ${data.id})${data.path ? ` -> ${data.path}` : ''}`, runLogPath);
+      } catch (e) {
+        const errMsg = e && e.message ? e.message : String(e);
+        markUnit(ledger, unit.unit, 'failed', { error: errMsg, batch: batchNo });
+        appendLogLocal(`[ERROR] Failed to send to ${label}: ${errMsg}`, runLogPath);
+      }
+      saveLedger();
+    }
+    if (batchCount > 1 && metaPath) appendProgress(metaPath, `batch ${batchNo}/${batchCount} done`);
+  }
+  const summary = summarizeLedger(ledger);
+  if (metaPath) {
+    // Mail merge keeps its per-recipient result list in meta.json next to the ledger
+    const mergeFields = ledger.mode === 'merge' ? { merge_results: mergeResults(ledger), merge_summary: summary } : {};
+    const metaErr = updateMetaJson(metaPath, null, { delivery_summary: summary, ...mergeFields });
+    if (metaErr) appendLogLocal(`[ERROR] Failed to update meta.json: ${metaErr}`, runLogPath);
+    appendProgress(metaPath, `deliveries: sent ${summary.sent}/${summary.total} (skipped ${summary.skipped}, failed ${summary.failed}, pending ${summary.pending})`);
+  }
+  if (aborted) {
+    appendLogLocal(`[WARN] Send aborted with ${summary.pending} recipient(s) pending; use resume to continue`, runLogPath);
+    return { aborted: true, ctx, base };
+  }
+  if (summary.failed) {
+    const firstErr = ledger.recipients.find(r => r.status === 'failed');
+    return { error: `delivery_incomplete: ${summary.failed} of ${summary.total} recipient(s) failed (${firstErr.error}); resume to retry`, ctx, base };
+  }
+  if (!summary.sent) return { error: 'nothing_sent', ctx, base };
+  if (metaPath) appendProgress(metaPath, 'sent email');
+  const lastSent = ledger.recipients.filter(r => r.status === 'sent' && r.id).pop();
+  return { id: lastId || (lastSent && lastSent.id), ctx, base };
+}
+
+// Park an approved send until send_at: meta.json enters `scheduled` with the request overrides
+// needed to send later, and a timer fires it (rediscovered from meta.json after a restart).
+function scheduleSend({ sendAt, body, htmlPath, ctx, base }) {
+  const metaPath = ctx.paths.meta;
+  const request = {};
+  ['subject', 'senderEmail', 'senderName', 'attachments', 'idempotency_key'].forEach((k) => {
+    if (body[k] !== undefined) request[k] = body[k];
+  });
+  if (htmlPath) request.htmlPath = htmlPath;
+  const scheduled = {
+    send_at: sendAt.send_at,
+    timezone: sendAt.timezone,
+    requested: sendAt.requested,
+    scheduled_at: new Date().toISOString(),
+    request,
+  };
+  const metaErr = updateMetaJson(metaPath, 'scheduled', { scheduled_send: scheduled, send_at_request: null, last_error: null });
+  if (metaErr) return { error: `meta.json error: ${metaErr}`, ctx, base };
+  armSchedule(getInstanceIdFromCtx(ctx), sendAt.at, fireScheduledSend);
+  appendProgress(metaPath, `scheduled for ${sendAt.send_at}`);
+  agent_log({ message: `state - scheduled (send_at ${sendAt.send_at})`, config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
+  return { scheduled: sendAt.send_at, ctx, base };
+}
+
+// Timer callback: send a scheduled instance unless it was cancelled, aborted or rescheduled meanwhile
+const SCHEDULE_BUSY_RETRY_MS = 30 * 1000;
+
+async function fireScheduledSend(instanceId) {
+  const baseFolder = process.env.AGENT_FOLDER;
+  if (!baseFolder) return;
+  const paths = resolveAgentPaths(path.join(baseFolder, instanceId));
+  const metaPath = paths.meta;
+  const meta = readMeta(metaPath);
+  if (!meta || meta.status !== 'scheduled' || !meta.scheduled_send) return;
+  if (Date.parse(meta.scheduled_send.send_at) > Date.now()) {
+    armSchedule(instanceId, Date.parse(meta.scheduled_send.send_at), fireScheduledSend);
+    return;
+  }
+  // Another run holds the instance: try again shortly rather than send alongside it
+  const locked = acquireInstanceLock(paths.state, 'scheduled-send');
+  if (locked.busy) {
+    appendLogLocal(`[WARN] Scheduled send deferred: instance locked by ${locked.busy.owner} (pid ${locked.busy.pid})`, paths.runLog);
+    armSchedule(instanceId, Date.now() + SCHEDULE_BUSY_RETRY_MS, fireScheduledSend);
+    return;
+  }
+  try {
+    await deliverScheduledSend(instanceId, paths);
+  } finally {
+    releaseInstanceLock(locked.lock);
+  }
+}
+
+async function deliverScheduledSend(instanceId, paths) {
+  const metaPath = paths.meta;
+  // Re-read under the lock: a cancel or reschedule may have landed meanwhile
+  const meta = readMeta(metaPath);
+  if (!meta || meta.status !== 'scheduled' || !meta.scheduled_send) return;
+  const base = loadConfig(paths.config);
+  fs.mkdirSync(paths.logs, { recursive: true });
+  const metaErr = updateMetaJson(metaPath, 'active', { last_error: null });
+  if (metaErr) {
+    agent_log({ message: `meta.json error: ${metaErr}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    return;
+  }
+  agent_log({ message: 'state - active (scheduled send)', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  try {
+    const request = meta.scheduled_send.request || {};
+    const sent = await sendEmailFlow({ ...request, instance_id: instanceId, skipHitl: true, scheduledFire: true }, base, { paths, base });
+    if (sent.aborted || sent.halted || sent.scheduled) return;
+    if (sent.error) {
+      agent_log({ message: `scheduled send error: ${sent.error}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      const metaErr2 = updateMetaJson(metaPath, 'abort', { last_error: sent.error });
+      if (metaErr2) agent_log({ message: `meta.json error: ${metaErr2}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+    const metaErr3 = updateMetaJson(metaPath, 'finished', { last_error: null, last_send_id: sent.id });
+    if (metaErr3) {
+      agent_log({ message: `meta.json error: ${metaErr3}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+    agent_log({ message: 'state - finished', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  } catch (e) {
+    agent_log({ message: `scheduled send exception: ${e.stack || e.message}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    const metaErr4 = updateMetaJson(metaPath, 'abort', { last_error: String(e && (e.stack || e.message) || e) });
+    if (metaErr4) agent_log({ message: `meta.json error: ${metaErr4}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  }
+}
+
+// ---- Recurring campaigns (instance `schedule` block) ----
+// Each occurrence runs generate-send in a dated run folder <instance>/runs/<run_id> with its own
+// meta.json, logs and artifacts; the parent meta.json keeps a `recurring` summary.
+const RECURRING_RESCAN_MS = 60 * 1000;
+const recurringArmed = new Map(); // instance id -> "cron|timezone" currently armed
+
+function recurringTimerKey(instanceId) {
+  return `${instanceId}#recurring`;
+}
+
+function formatRunId(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}Z$/, 'Z');
+}
+
+// Arm the next occurrence for one instance (no-op when already armed with the same schedule)
+function armRecurring(instanceId, paths, base) {
+  const cfg = getRecurringConfig(base);
+  const meta = readMeta(paths.meta);
+  const recurring = (meta && meta.recurring) || {};
+  if (!cfg || cfg.error || !meta || recurring.paused) {
+    if (recurringArmed.has(instanceId)) {
+      cancelSchedule(recurringTimerKey(instanceId));
+      recurringArmed.delete(instanceId);
+    }
+    if (cfg && cfg.error && recurring.last_error !== cfg.error) {
+      updateMetaJson(paths.meta, null, latest => ({ recurring: { ...latest.recurring, last_error: cfg.error } }));
+      appendLogLocal(`[ERROR] ${cfg.error}`, paths.runLog);
+    }
+    return null;
+  }
+  const signature = `${cfg.cron}|${cfg.timezone || ''}`;
+  if (recurringArmed.get(instanceId) === signature) return null;
+  const at = nextRun(cfg.parsed, Date.now(), cfg.timezone);
+  if (!at) return null;
+  armSchedule(recurringTimerKey(instanceId), at, () => fireRecurringRun(instanceId));
+  recurringArmed.set(instanceId, signature);
+  const nextRunAt = new Date(at).toISOString();
+  updateMetaJson(paths.meta, null, latest => ({
+    recurring: { ...latest.recurring, cron: cfg.cron, timezone: cfg.timezone, paused: false, next_run_at: nextRunAt, last_error: null },
+  }));
+  return nextRunAt;
+}
+
+// Pick up schedule changes in instance configs under AGENT_FOLDER (runs at startup and periodically)
+function syncRecurringSchedules() {
+  const baseFolder = process.env.AGENT_FOLDER;
+  if (!baseFolder) return;
+  listDirs(baseFolder).forEach((name) => {
+    const paths = resolveAgentPaths(path.join(baseFolder, name));
+    if (!fs.existsSync(paths.config) || !fs.existsSync(paths.meta)) return;
+    armRecurring(name, paths, loadConfig(paths.config));
+  });
+}
+
+async function fireRecurringRun(instanceId) {
+  recurringArmed.delete(instanceId);
+  const baseFolder = process.env.AGENT_FOLDER;
+  if (!baseFolder) return;
+  const parentPaths = resolveAgentPaths(path.join(baseFolder, instanceId));
+  const base = loadConfig(parentPaths.config);
+  const cfg = getRecurringConfig(base);
+  const parentMeta = readMeta(parentPaths.meta);
+  if (!cfg || cfg.error || !parentMeta || (parentMeta.recurring && parentMeta.recurring.paused)) return;
+  const runId = formatRunId(new Date());
+  const runRoot = path.join(parentPaths.root, 'runs', runId);
+  fs.mkdirSync(runRoot, { recursive: true });
+  writeMetaFile(path.join(runRoot, 'meta.json'), {
+    status: 'new',
+    owner: parentMeta.owner,
+    run_of: instanceId,
+    run_id: runId,
+    trigger: 'schedule',
+    cron: cfg.cron,
+    created_at: formatDateYMDHMS(new Date()),
+    revision: 1,
+  });
+  const paths = resolveAgentPaths(runRoot);
+  fs.mkdirSync(paths.logs, { recursive: true });
+  fs.mkdirSync(paths.artifacts, { recursive: true });
+  updateMetaJson(parentPaths.meta, null, (latest) => {
+    const recurring = latest.recurring || {};
+    return {
+      recurring: { ...recurring, last_run_id: runId, last_run_at: new Date().toISOString(), last_run_status: 'active', run_count: (recurring.run_count || 0) + 1 },
+    };
+  });
+  appendProgress(parentPaths.meta, `recurring run ${runId} started`);
+  // Arm the following occurrence first so a slow or waiting run does not stall the schedule
+  armRecurring(instanceId, parentPaths, base);
+
+  const metaPath = paths.meta;
+  const runInstanceId = paths.instanceId;
+  const finish = (status) => {
+    updateMetaJson(parentPaths.meta, null, (latest) => {
+      const rec = latest.recurring || {};
+      return rec.last_run_id === runId ? { recurring: { ...rec, last_run_status: status } } : null;
+    });
+  };
+  updateMetaJson(metaPath, 'active');
+  agent_log({ message: 'state - active (recurring run)', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  try {
+    const ctx = { paths, base };
+    const gen = await generateEmailFlow({ instance_id: runInstanceId }, ctx);
+    if (gen.aborted) return finish('abort');
+    if (gen.error || gen.errorObj) {
+      const errMsg = gen.error || (gen.errorObj && `${gen.errorObj.code}${gen.errorObj.path ? ` (${gen.errorObj.path})` : ''}`) || 'unknown_error';
+      agent_log({ message: `recurring run (generate) error: ${errMsg}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      updateMetaJson(metaPath, 'abort', { last_error: errMsg });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return finish('abort');
+    }
+    const sent = await sendEmailFlow({ instance_id: runInstanceId }, base, ctx, gen.html);
+    if (sent.aborted) return finish('abort');
+    if (sent.error) {
+      agent_log({ message: `recurring run (send) error: ${sent.error}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      updateMetaJson(metaPath, 'abort', { last_error: sent.error, last_html_path: gen.htmlOutputRel });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return finish('abort');
+    }
+    if (sent.halted === 'waiting-for-response') return finish('wait');
+    if (sent.scheduled) return finish('scheduled');
+    updateMetaJson(metaPath, 'finished', { last_error: null, last_html_path: gen.htmlOutputRel, last_send_id: sent.id });
+    agent_log({ message: 'state - finished', config: normalizeConfig(base), runLogOverride: paths.runLog });
+    return finish('finished');
+  } catch (e) {
+    agent_log({ message: `recurring run exception: ${e.stack || e.message}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    updateMetaJson(metaPath, 'abort', { last_error: String(e && (e.stack || e.message) || e) });
+    agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+    return finish('abort');
+  }
+}
+
+// Preview endpoint helper: render artifacts/email.html for one merge row (?row=N or ?email=addr)
+function handleMergePreviewRequest(parsed, res) {
+  const q = parsed.query || {};
+  const sendJson = (code, obj) => {
+    res.writeHead(code, { 'content-type': 'application/json' });
+    res.end(JSON.stringify(obj));
+  };
+  if (!q.instance_id) return sendJson(400, { error: 'missing_instance_id' });
+  const ctx = resolveContext({ instance_id: q.instance_id }, { activate: false });
+  if (ctx.error) return sendJson(400, { error: ctx.error });
+  const base = ctx.base;
+  const mergeCfg = getMailMergeConfig(base);
+  if (!mergeCfg) return sendJson(400, { error: 'mail_merge_not_configured' });
+  const merge = loadMergeRecipients(mergeCfg, ctx.paths.root);
+  if (merge.error) return sendJson(400, { error: merge.error });
+  let row;
+  if (q.email) row = merge.rows.find(r => r.email.toLowerCase() === String(q.email).toLowerCase());
+  else row = merge.rows[Number(q.row || 0)];
+  if (!row) return sendJson(404, { error: 'mail_merge_row_not_found' });
+  const htmlPath = path.join(ctx.paths.artifacts, 'email.html');
+  if (!fs.existsSync(htmlPath)) return sendJson(404, { error: 'html_not_found' });
+  const rendered = renderForRecipient(row, { subject: base.EMAIL_SUBJECT || '', html: fs.readFileSync(htmlPath, 'utf8'), mergeCfg });
+  return sendJson(200, {
+    instance_id: q.instance_id,
+    row: rendered.index,
+    email: rendered.email,
+    subject: rendered.subject,
+    html: rendered.html,
+    text: htmlToText(rendered.html),
+    missing: rendered.missing,
+    total_recipients: merge.rows.length,
+  });
+}
+
 async function sendEmailFlow(body, baseMaybe, ctxMaybe, overrideHtml) {
   const ctx = ctxMaybe || resolveContext(body, { activate: false });
   const base = baseMaybe || ctx.base;
@@ -737,7 +1451,7 @@ async function sendEmailFlow(body, baseMaybe, ctxMaybe, overrideHtml) {
   if (ctx.paths) {
     const hasHitlSection = !!(base && (base['human-in-the-loop'] || base['HITL'] || base['hitl']));
     if (!hasHitlSection) {
-      const metaPath = path.join(ctx.paths.root, 'meta.json');
+      const metaPath = ctx.paths.meta;
       const msg = 'missing_hitl_config_section';
       appendProgress(metaPath, msg);
       agent_log({ message: msg, config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
@@ -747,7 +1461,9 @@ async function sendEmailFlow(body, baseMaybe, ctxMaybe, overrideHtml) {
       return { error: msg, ctx, base };
     }
   }
-  const skipHitl = !!(body && body.skipHitl);
+  // Resume continues an interrupted send from deliveries.json; it was already reviewed, so no HITL
+  const resume = !!(body && body.resume);
+  const skipHitl = !!(body && (body.skipHitl || resume));
   let htmlPath = body.htmlPath;
   if (!htmlPath && body.html) htmlPath = materializeHtmlForSend(body, ctx);
   if (!htmlPath && ctx.paths && ctx.paths.artifacts) htmlPath = path.join(ctx.paths.artifacts, 'email.html');
@@ -758,11 +1474,45 @@ async function sendEmailFlow(body, baseMaybe, ctxMaybe, overrideHtml) {
   const fromName = body.senderName || base.SENDER_NAME;
   const { toList, ccList, bccList } = buildRecipients(base);
   let toFinal = toList, ccFinal = ccList, bccFinal = bccList;
-  if (!toFinal.length && !ccFinal.length && !bccFinal.length) {
+  // Mail-merge: one personalized message per row of the recipients source (replaces to/cc/bcc)
+  const mergeCfg = getMailMergeConfig(base);
+  const merge = mergeCfg ? loadMergeRecipients(mergeCfg, ctx.paths ? ctx.paths.root : REPO_ROOT) : null;
+  if (merge && merge.error) return { error: merge.error, ctx, base };
+  let ledger = null;
+  if (resume) {
+    if (!ctx.paths) return { error: 'resume_requires_instance_id' };
+    ledger = readLedger(ctx.paths.state);
+    if (!ledger) return { error: 'no_delivery_ledger', ctx, base };
+    if (ledger.mode === 'merge' && !merge) return { error: 'mail_merge_not_configured', ctx, base };
+    if (!pendingUnits(ledger).length) return { error: 'nothing_to_resume', ctx, base };
+    if (ledger.content_hash !== contentHash(subject, html)) {
+      appendLogLocal('[WARN] Subject or HTML changed since the interrupted send; remaining recipients get the current version', ctx.paths.runLog);
+    }
+  } else if (!merge && !toFinal.length && !ccFinal.length && !bccFinal.length) {
     return { error: 'no_recipients_configured' };
   }
+  if (merge) {
+    const mergeErr = checkMergeRows(merge, mergeCfg, subject, html, ctx);
+    if (mergeErr) return { error: mergeErr, ctx, base };
+  }
+  // Attachments: request body list overrides config; paths are relative to the instance folder.
+  // Without an instance only the repo config may list files, so a request cannot mail repo files (.env)
+  if (!ctx.paths && body.attachments !== undefined && body.attachments !== null) {
+    return { error: 'attachments_require_instance_id', ctx, base };
+  }
+  const attachmentList = body.attachments !== undefined ? body.attachments : base.attachments;
+  const resolvedAttachments = resolveAttachments(attachmentList, ctx.paths ? ctx.paths.root : REPO_ROOT, getAttachmentLimits(base));
+  if (resolvedAttachments.error) return { error: resolvedAttachments.error, ctx, base };
+  const attachments = resolvedAttachments.attachments;
+  const eventResult = resolveEvent(base);
+  if (eventResult.error) return { error: eventResult.error, ctx, base };
+  if (eventResult.event) attachments.push(buildInviteAttachment(eventResult.event, ctx));
   const instanceId = getInstanceIdFromCtx(ctx);
-  const metaPath = ctx.paths ? path.join(ctx.paths.root, 'meta.json') : undefined;
+  const metaPath = ctx.paths ? ctx.paths.meta : undefined;
+  // Scheduled delivery (send_at): validated before review; resumes and scheduled runs send now
+  const sendAt = (resume || body.scheduledFire) ? null : resolveSendAt(body, base, metaPath ? readMeta(metaPath) : null);
+  if (sendAt && sendAt.error) return { error: sendAt.error, ctx, base };
+  if (sendAt && !ctx.paths) return { error: 'send_at_requires_instance_id' };
   if (ctx.paths && isMetaStatus(metaPath, 'abort')) {
     agent_log({
       message: 'The instance has been aborted, exit processing without sending group email.',
@@ -771,8 +1521,61 @@ async function sendEmailFlow(body, baseMaybe, ctxMaybe, overrideHtml) {
     });
     return { aborted: true, ctx, base };
   }
-  appendLogLocal(`[PROGRESS] Sending email. to=${toFinal.join(', ')} cc=${ccFinal.join(', ')} bcc=${bccFinal.join(', ')}`,
-    ctx.paths ? ctx.paths.runLog : undefined);
+  // A send already made within the idempotency window (same key, or same recipients, subject and
+  // HTML) is not repeated, and one that did not finish is resumed from its ledger so recipients
+  // already sent to are skipped. Resumes finish a partial send; `dedupe: false` forces a new one.
+  const idempotency = getIdempotencyConfig(base);
+  const sendHash = sendFingerprint(merge
+    ? { to: merge.rows.map(r => r.email), subject, html }
+    : { to: toFinal, cc: ccFinal, bcc: bccFinal, subject, html });
+  if (ctx.paths && !resume && body.dedupe !== false) {
+    const prior = findRecentSend((readMeta(metaPath) || {}).sends, { key: body.idempotency_key, hash: sendHash }, idempotency.windowMs);
+    if (prior) {
+      const match = body.idempotency_key && prior.key === body.idempotency_key ? `Idempotency-Key ${prior.key}` : 'same recipients, subject and HTML';
+      if (sendComplete(prior)) {
+        appendLogLocal(`[INFO] Duplicate send suppressed (${match}): already sent at ${prior.at} (id: ${prior.id})`, ctx.paths.runLog);
+        appendProgress(metaPath, `duplicate send suppressed, returning send ${prior.id}`);
+        return { id: prior.id, duplicate: true, ctx, base };
+      }
+      const priorLedger = readLedger(ctx.paths.state);
+      if (!priorLedger || !prior.ledger || priorLedger.id !== prior.ledger) {
+        return { error: `send_incomplete: the send started at ${prior.at} (${match}) did not finish and its delivery ledger was replaced; pass dedupe: false to send again`, ctx, base };
+      }
+      if (pendingUnits(priorLedger).length) {
+        appendLogLocal(`[INFO] Repeated send (${match}) of an incomplete send started at ${prior.at}; resuming its delivery ledger`, ctx.paths.runLog);
+        appendProgress(metaPath, 'repeated send, resuming incomplete delivery');
+        return sendEmailFlow({ ...body, resume: true, skipHitl: true }, base, ctx, overrideHtml);
+      }
+      // Every recipient was reached (e.g. the process stopped before the record was updated)
+      const lastSent = priorLedger.recipients.filter(r => r.status === 'sent' && r.id).pop();
+      if (lastSent) {
+        updateMetaJson(metaPath, null, meta => ({ sends: updateSendRecord(meta.sends, priorLedger.id, { status: 'sent', id: lastSent.id }) }));
+        appendLogLocal(`[INFO] Duplicate send suppressed (${match}): already delivered (id: ${lastSent.id})`, ctx.paths.runLog);
+        return { id: lastSent.id, duplicate: true, ctx, base };
+      }
+    }
+  }
+  // Already-reviewed HTML (resume, scheduled delivery) is not linted again
+  const lint = (resume || body.scheduledFire) ? null : runPreSendLint(html, htmlPath, base, ctx);
+  if (lint && lint.blocked) {
+    const rules = Array.from(new Set(lint.issues.filter(i => i.severity === 'error').map(i => i.rule)));
+    return { error: `lint_failed: ${lint.errors} error(s) (${rules.join(', ')})`, ctx, base };
+  }
+  if (ledger) {
+    const pendingCount = ledger.recipients.filter(r => r.status === 'pending' || r.status === 'failed').length;
+    appendLogLocal(`[PROGRESS] Resuming send: ${pendingCount} of ${ledger.recipients.length} recipient(s) not yet delivered`,
+      ctx.paths ? ctx.paths.runLog : undefined);
+  } else if (merge) {
+    appendLogLocal(`[PROGRESS] Sending mail-merge email to ${merge.rows.length} recipient(s) from ${mergeCfg.recipients}`,
+      ctx.paths ? ctx.paths.runLog : undefined);
+  } else {
+    appendLogLocal(`[PROGRESS] Sending email. to=${toFinal.join(', ')} cc=${ccFinal.join(', ')} bcc=${bccFinal.join(', ')}`,
+      ctx.paths ? ctx.paths.runLog : undefined);
+  }
+  if (attachments.length) {
+    appendLogLocal(`[INFO] Attachments: ${attachments.map(a => `${a.filename} (${a.contentType}, ${a.size} bytes)`).join(', ')}`,
+      ctx.paths ? ctx.paths.runLog : undefined);
+  }
   // HITL check before sending (unless explicitly skipped by caller)
   // Enforces presence of a HITL config for instance runs and executes a
   // single request → decision.
@@ -784,7 +1587,11 @@ async function sendEmailFlow(body, baseMaybe, ctxMaybe, overrideHtml) {
       // Log locally for the instance instead of agent_log (no remote)
       appendLogLocal('awaiting hitl response', ctx.paths.runLog);
     }
-    const decision = await callHitlAgent({ instanceId, htmlPath, html, ctx, base, loopIndex: 0 });
+    // Review round: 0 for a new send, the modify count when re-reviewing after a modify
+    const loopIndex = Number.isInteger(body.hitl_loop) ? body.hitl_loop : 0;
+    const escalation = body.hitl_escalation || undefined;
+    if (ctx.paths) recordHitlRound(html, loopIndex, ctx, escalation);
+    const decision = await callHitlAgent({ instanceId, htmlPath, html, attachments, lint, ctx, base, loopIndex, escalation });
     // Log optional informational message from HITL response
     if (decision && decision.information) {
       const infoMsg = (() => { const val = decision.information; if (typeof val === 'string') return val; try { const json = JSON.stringify(val); return json === undefined ? String(val) : json; } catch (_) { return String(val); } })();
@@ -831,7 +1638,8 @@ async function sendEmailFlow(body, baseMaybe, ctxMaybe, overrideHtml) {
       if (ctx.paths) {
         const normalizedConfig = normalizeConfig(base);
         appendProgress(metaPath, 'hitl waiting-for-response');
-        const metaErr = updateMetaJson(metaPath, 'wait');
+        // Remember a requested send_at so the approve callback can schedule it
+        const metaErr = updateMetaJson(metaPath, 'wait', sendAt ? { send_at_request: { send_at: sendAt.send_at, timezone: sendAt.timezone } } : undefined);
         if (metaErr) {
           agent_log({ message: `meta.json error: ${metaErr}`, level: 'error', config: normalizedConfig, runLogOverride: ctx.paths.runLog });
         } else {
@@ -855,26 +1663,46 @@ async function sendEmailFlow(body, baseMaybe, ctxMaybe, overrideHtml) {
     return { error: 'hitl_unknown_status', ctx, base };
   }
   if (skipHitl && ctx.paths) {
-    appendProgress(path.join(ctx.paths.root, 'meta.json'), 'hitl skipped');
+    appendProgress(ctx.paths.meta, 'hitl skipped');
     agent_log({
       message: 'skip HITL - processing just returned from work item',
       config: normalizeConfig(base),
       runLogOverride: ctx.paths.runLog
     });
   }
+  if (sendAt && sendAt.at > Date.now()) {
+    return scheduleSend({ sendAt, body, htmlPath, ctx, base });
+  }
+  if (sendAt) appendLogLocal(`[INFO] send_at ${sendAt.send_at} has already passed; sending now`, ctx.paths.runLog);
   // Progress: sending emails
   if (ctx.paths) {
-    appendProgress(path.join(ctx.paths.root, 'meta.json'), 'sending emails');
+    appendProgress(ctx.paths.meta, 'sending emails');
   }
-  const data = await sendEmail({ fromName, fromEmail, to: toFinal.length ? toFinal : [fromEmail], cc: ccFinal, bcc: bccFinal, subject, html });
-  // Progress: sent email
-  if (ctx.paths) {
-    appendProgress(path.join(ctx.paths.root, 'meta.json'), 'sent email');
+  const inline = prepareInlineImages(html, base, ctx);
+  const outboxDir = ctx.paths ? path.join(ctx.paths.artifacts, 'outbox') : path.join(OUTPUTS_DIR, 'outbox');
+  const message = { fromName, fromEmail, subject, html: inline.html, attachments, inlineImages: inline.inlineImages };
+  const batch = getBatchConfig(base);
+  if (!ledger) {
+    const units = planDeliveries({ toList: toFinal, ccList: ccFinal, bccList: bccFinal, merge, batched: batch.size > 0 });
+    ledger = createLedger(units, { subject, html, mode: merge ? 'merge' : (batch.size ? 'batched' : 'single'), batch });
+    // Recorded before anything goes out, so a retry after a crash or partial failure resumes this ledger
+    if (ctx.paths && idempotency.windowMs) {
+      writeLedger(ctx.paths.state, ledger);
+      const entry = { hash: sendHash, ledger: ledger.id, status: 'in_progress', ...(body.idempotency_key ? { key: body.idempotency_key } : {}) };
+      const metaErr = updateMetaJson(metaPath, null, meta => ({ sends: recordSend(meta.sends, entry, idempotency.windowMs) }));
+      if (metaErr) appendLogLocal(`[ERROR] Failed to record send in meta.json: ${metaErr}`, ctx.paths.runLog);
+    }
   }
-  return { id: data.id, ctx, base };
+  const result = await deliverUnits({ ledger, merge, mergeCfg, message, batch, outboxDir, base, ctx });
+  if (ctx.paths && ledger.id && idempotency.windowMs) {
+    const changes = result.id ? { status: 'sent', id: result.id } : { status: 'partial' };
+    const metaErr = updateMetaJson(metaPath, null, meta => ({ sends: updateSendRecord(meta.sends, ledger.id, changes) }));
+    if (metaErr) appendLogLocal(`[ERROR] Failed to record send in meta.json: ${metaErr}`, ctx.paths.runLog);
+  }
+  return result;
 }
 
-async function handleGenerate(req, res, body) {
+async function handleGenerate(req, res, body, lock) {
   try {
     // Async mode: require instance_id and return 202 immediately after activation
     if (body && body.async === true) {
@@ -894,7 +1722,7 @@ async function handleGenerate(req, res, body) {
       fs.mkdirSync(paths.logs, { recursive: true });
       fs.mkdirSync(paths.artifacts, { recursive: true });
       const base = loadConfig(paths.config);
-      const metaPath = path.join(paths.root, 'meta.json');
+      const metaPath = paths.meta;
       const metaErr = updateMetaJson(metaPath, 'active', { last_error: null });
       if (metaErr) {
         res.writeHead(400, { 'content-type': 'application/json' });
@@ -902,40 +1730,8 @@ async function handleGenerate(req, res, body) {
         return;
       }
       agent_log({ message: 'state - active (async generate)', config: normalizeConfig(base), runLogOverride: paths.runLog });
-      // Return 202 Accepted with status link
-      const statusUrl = `/api/email-agent/status?instance_id=${encodeURIComponent(body.instance_id)}`;
-      res.writeHead(202, { 'content-type': 'application/json', Location: statusUrl });
-      res.end(JSON.stringify({ accepted: true, status: 'active', instance_id: body.instance_id, links: { status: statusUrl } }));
-      // Background task
-      setImmediate(async () => {
-        try {
-          const ctx = { paths, base };
-          const gen = await generateEmailFlow(body, ctx);
-          if (gen.aborted) {
-            return;
-          }
-          if (gen.error || gen.errorObj) {
-            const errMsg = gen.error || (gen.errorObj && `${gen.errorObj.code}${gen.errorObj.path ? ` (${gen.errorObj.path})` : ''}`) || 'unknown_error';
-            agent_log({ message: `async generate error: ${errMsg}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            const metaErr2 = updateMetaJson(metaPath, 'abort', { last_error: errMsg });
-            if (metaErr2) agent_log({ message: `meta.json error: ${metaErr2}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-            return;
-          }
-          const metaErr3 = updateMetaJson(metaPath, 'finished', { last_error: null, last_html_path: gen.htmlOutputRel });
-          if (metaErr3) {
-            agent_log({ message: `meta.json error: ${metaErr3}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-            return;
-          }
-          agent_log({ message: 'state - finished', config: normalizeConfig(base), runLogOverride: paths.runLog });
-        } catch (e) {
-          agent_log({ message: `async generate exception: ${e.stack || e.message}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-          const metaErr4 = updateMetaJson(metaPath, 'abort', { last_error: String(e && (e.stack || e.message) || e) });
-          if (metaErr4) agent_log({ message: `meta.json error: ${metaErr4}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-          agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-        }
-      });
+      // Return 202 Accepted with status link; the work runs as a durable background job
+      acceptJob(res, 'generate', body.instance_id, body, metaPath, { status: 'active' }, lock);
       return;
     }
     const gen = await generateEmailFlow(body);
@@ -985,7 +1781,7 @@ function normalizeConfig(cfg) {
   return c;
 }
 
-async function handleSend(req, res, body) {
+async function handleSend(req, res, body, lock) {
   try {
     // Async mode: require instance_id and return 202 immediately after activation
     if (body && body.async === true) {
@@ -1005,7 +1801,7 @@ async function handleSend(req, res, body) {
       fs.mkdirSync(paths.logs, { recursive: true });
       fs.mkdirSync(paths.artifacts, { recursive: true });
       const base = loadConfig(paths.config);
-      const metaPath = path.join(paths.root, 'meta.json');
+      const metaPath = paths.meta;
       const metaErr = updateMetaJson(metaPath, 'active', { last_error: null });
       if (metaErr) {
         res.writeHead(400, { 'content-type': 'application/json' });
@@ -1013,41 +1809,7 @@ async function handleSend(req, res, body) {
         return;
       }
       agent_log({ message: 'state - active (async send)', config: normalizeConfig(base), runLogOverride: paths.runLog });
-      const statusUrl = `/api/email-agent/status?instance_id=${encodeURIComponent(body.instance_id)}`;
-      res.writeHead(202, { 'content-type': 'application/json', Location: statusUrl });
-      res.end(JSON.stringify({ accepted: true, status: 'active', instance_id: body.instance_id, links: { status: statusUrl } }));
-      setImmediate(async () => {
-        try {
-          const ctx = { paths, base };
-          const sent = await sendEmailFlow(body, base, ctx);
-          if (sent.aborted) {
-            return;
-          }
-          if (sent.error) {
-            agent_log({ message: `async send error: ${sent.error}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            const metaErr2 = updateMetaJson(metaPath, 'abort', { last_error: sent.error });
-            if (metaErr2) agent_log({ message: `meta.json error: ${metaErr2}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-            return;
-          }
-          if (sent.halted === 'waiting-for-response') {
-            // Leave as active and exit gracefully
-            return;
-          }
-          const metaErr3 = updateMetaJson(metaPath, 'finished', { last_error: null, last_send_id: sent.id });
-          if (metaErr3) {
-            agent_log({ message: `meta.json error: ${metaErr3}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-            return;
-          }
-          agent_log({ message: 'state - finished', config: normalizeConfig(base), runLogOverride: paths.runLog });
-        } catch (e) {
-          agent_log({ message: `async send exception: ${e.stack || e.message}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-          const metaErr4 = updateMetaJson(metaPath, 'abort', { last_error: String(e && (e.stack || e.message) || e) });
-          if (metaErr4) agent_log({ message: `meta.json error: ${metaErr4}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-          agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-        }
-      });
+      acceptJob(res, 'send', body.instance_id, body, metaPath, { status: 'active' }, lock);
       return;
     }
     const ctx = resolveContext(body, { activate: false });
@@ -1057,6 +1819,12 @@ async function handleSend(req, res, body) {
       return;
     }
     const base = ctx.base;
+    const activateErr = activateForSend(ctx, base, 'send', { reopenAborted: true });
+    if (activateErr) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: `meta.json error: ${activateErr}` }));
+      return;
+    }
     const sent = await sendEmailFlow(body, base, ctx);
     if (sent.aborted) {
       res.writeHead(409, { 'content-type': 'application/json' });
@@ -1064,6 +1832,7 @@ async function handleSend(req, res, body) {
       return;
     }
     if (sent.error) {
+      abortFailedSend(ctx, base, sent.error);
       res.writeHead(400, { 'content-type': 'application/json' });
       res.end(JSON.stringify({ error: sent.error }));
       return;
@@ -1074,12 +1843,17 @@ async function handleSend(req, res, body) {
       res.end(JSON.stringify({ ok: true, status: 'waiting-for-response' }));
       return;
     }
+    if (sent.scheduled) {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, status: 'scheduled', send_at: sent.scheduled }));
+      return;
+    }
     res.writeHead(200, { 'content-type': 'application/json' });
-    res.end(JSON.stringify({ ok: true, id: sent.id }));
+    res.end(JSON.stringify({ ok: true, id: sent.id, ...(sent.duplicate ? { duplicate: true } : {}) }));
     // finalize state
     if (ctx.paths) {
-      const metaPath = path.join(ctx.paths.root, 'meta.json');
-      const metaErr = updateMetaJson(metaPath, 'finished');
+      const metaPath = ctx.paths.meta;
+      const metaErr = updateMetaJson(metaPath, 'finished', { last_send_id: sent.id });
       if (metaErr) {
         agent_log({ message: `meta.json error: ${metaErr}`, config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
         agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
@@ -1096,7 +1870,36 @@ async function handleSend(req, res, body) {
   }
 }
 
-async function handleGenerateSend(req, res, body) {
+// Resume an interrupted or aborted send from the instance's deliveries.json ledger.
+// Re-activates the instance, then sends only to recipients not yet delivered.
+async function handleResume(req, res, body, lock) {
+  if (!body || !body.instance_id) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'missing_instance_id' }));
+    return;
+  }
+  const baseFolder = process.env.AGENT_FOLDER;
+  if (!baseFolder) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'missing_env_AGENT_FOLDER' }));
+    return;
+  }
+  const paths = resolveAgentPaths(path.join(baseFolder, body.instance_id));
+  if (!readLedger(paths.state)) {
+    res.writeHead(404, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'no_delivery_ledger' }));
+    return;
+  }
+  const metaErr = updateMetaJson(paths.meta, 'active', { last_error: null });
+  if (metaErr) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: `meta.json error: ${metaErr}` }));
+    return;
+  }
+  return handleSend(req, res, { ...body, resume: true, skipHitl: true }, lock);
+}
+
+async function handleGenerateSend(req, res, body, lock) {
   try {
     console.log('[DEBUG] handleGenerateSend called with body:', JSON.stringify(body, null, 2));
     // Async mode: require instance_id and return 202 immediately after activation
@@ -1133,7 +1936,7 @@ async function handleGenerateSend(req, res, body) {
       console.log('[DEBUG] Loading config from:', paths.config);
       const base = loadConfig(paths.config);
       console.log('[DEBUG] Config loaded, keys:', Object.keys(base || {}));
-      const metaPath = path.join(paths.root, 'meta.json');
+      const metaPath = paths.meta;
       console.log('[DEBUG] Updating meta.json at:', metaPath);
       const metaErr = updateMetaJson(metaPath, 'active', { last_error: null });
       if (metaErr) {
@@ -1144,72 +1947,8 @@ async function handleGenerateSend(req, res, body) {
       }
       console.log('[DEBUG] meta.json updated successfully');
       agent_log({ message: 'state - active (async generate-send)', config: normalizeConfig(base), runLogOverride: paths.runLog });
-      const statusUrl = `/api/email-agent/status?instance_id=${encodeURIComponent(body.instance_id)}`;
-      console.log('[DEBUG] Sending 202 Accepted response to client');
-      res.writeHead(202, { 'content-type': 'application/json', Location: statusUrl });
-      res.end(JSON.stringify({ accepted: true, status: 'active', instance_id: body.instance_id, links: { status: statusUrl } }));
-      console.log('[DEBUG] Starting async workflow in background');
-      setImmediate(async () => {
-        try {
-          console.log('[DEBUG] Async workflow: Starting generateEmailFlow');
-          const ctx = { paths, base };
-          const gen = await generateEmailFlow(body, ctx);
-          console.log('[DEBUG] generateEmailFlow completed:', { aborted: gen.aborted, hasError: !!gen.error, hasErrorObj: !!gen.errorObj });
-
-          if (gen.aborted) {
-            console.log('[DEBUG] Generation was aborted, exiting');
-            return;
-          }
-          if (gen.error || gen.errorObj) {
-            const errMsg = gen.error || (gen.errorObj && `${gen.errorObj.code}${gen.errorObj.path ? ` (${gen.errorObj.path})` : ''}`) || 'unknown_error';
-            console.error('[ERROR] Generation failed:', errMsg);
-            agent_log({ message: `async generate-send (generate) error: ${errMsg}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            const metaErr2 = updateMetaJson(metaPath, 'abort', { last_error: errMsg });
-            if (metaErr2) agent_log({ message: `meta.json error: ${metaErr2}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-            return;
-          }
-
-          console.log('[DEBUG] Async workflow: Starting sendEmailFlow');
-          const sent = await sendEmailFlow(body, base, ctx, gen.html);
-          console.log('[DEBUG] sendEmailFlow completed:', { aborted: sent.aborted, hasError: !!sent.error, halted: sent.halted });
-
-          if (sent.aborted) {
-            console.log('[DEBUG] Send was aborted, exiting');
-            return;
-          }
-          if (sent.error) {
-            console.error('[ERROR] Send failed:', sent.error);
-            agent_log({ message: `async generate-send (send) error: ${sent.error}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            const metaErr3 = updateMetaJson(metaPath, 'abort', { last_error: sent.error, last_html_path: gen.htmlOutputRel });
-            if (metaErr3) agent_log({ message: `meta.json error: ${metaErr3}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-            return;
-          }
-          if (sent.halted === 'waiting-for-response') {
-            console.log('[DEBUG] Workflow halted, waiting for human response');
-            // Leave as active and exit gracefully
-            return;
-          }
-
-          console.log('[DEBUG] Workflow completed successfully, updating to finished');
-          const metaErr4 = updateMetaJson(metaPath, 'finished', { last_error: null, last_html_path: gen.htmlOutputRel, last_send_id: sent.id });
-          if (metaErr4) {
-            console.error('[ERROR] Failed to update meta to finished:', metaErr4);
-            agent_log({ message: `meta.json error: ${metaErr4}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-            agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-            return;
-          }
-          console.log('[DEBUG] Instance finished successfully');
-          agent_log({ message: 'state - finished', config: normalizeConfig(base), runLogOverride: paths.runLog });
-        } catch (e) {
-          console.error('[ERROR] Async workflow exception:', e.stack || e.message);
-          agent_log({ message: `async generate-send exception: ${e.stack || e.message}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-          const metaErr5 = updateMetaJson(metaPath, 'abort', { last_error: String(e && (e.stack || e.message) || e) });
-          if (metaErr5) agent_log({ message: `meta.json error: ${metaErr5}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
-          agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
-        }
-      });
+      console.log('[DEBUG] Queueing async workflow and sending 202 Accepted response to client');
+      acceptJob(res, 'generate-send', body.instance_id, body, metaPath, { status: 'active' }, lock);
       return;
     }
     const gen = await generateEmailFlow(body);
@@ -1250,12 +1989,17 @@ async function handleGenerateSend(req, res, body) {
       res.end(JSON.stringify({ ok: true, htmlPath: gen.htmlOutputRel, status: 'waiting-for-response' }));
       return;
     }
+    if (sent.scheduled) {
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, htmlPath: gen.htmlOutputRel, status: 'scheduled', send_at: sent.scheduled }));
+      return;
+    }
     res.writeHead(200, { 'content-type': 'application/json' });
-    res.end(JSON.stringify({ ok: true, htmlPath: gen.htmlOutputRel, id: sent.id }));
+    res.end(JSON.stringify({ ok: true, htmlPath: gen.htmlOutputRel, id: sent.id, ...(sent.duplicate ? { duplicate: true } : {}) }));
     // finalize state for instances
     if (gen.ctx && gen.ctx.paths) {
-      const metaPath = path.join(gen.ctx.paths.root, 'meta.json');
-      const metaErr = updateMetaJson(metaPath, 'finished');
+      const metaPath = gen.ctx.paths.meta;
+      const metaErr = updateMetaJson(metaPath, 'finished', { last_send_id: sent.id });
       if (metaErr) {
         agent_log({ message: `meta.json error: ${metaErr}`, config: normalizeConfig(gen.base), runLogOverride: gen.ctx.paths.runLog });
         agent_log({ message: 'state - abort', config: normalizeConfig(gen.base), runLogOverride: gen.ctx.paths.runLog });
@@ -1272,21 +2016,452 @@ async function handleGenerateSend(req, res, body) {
   }
 }
 
-const server = http.createServer(async (req, res) => {
-  // Allow cross-origin requests from AMP frontend
+// ---- Durable async jobs ----
+// 202 responses queue a job record (server/jobs.js) instead of running work in setImmediate, so a
+// restart does not leave the instance `active` with nothing driving it. Each handler re-reads
+// paths and config from the instance folder, since only the request body is stored.
+
+// Instance locks handed from accepting routes to their queued jobs, by job id
+const jobLocks = new Map();
+
+// Take the instance lock for a route. Returns the lock, null when there is nothing to lock
+// (no instance folder), or false after answering 409 instance_busy / 500.
+function lockInstance(res, instanceId, owner) {
+  if (!instanceId || !process.env.AGENT_FOLDER) return null;
+  const paths = resolveAgentPaths(path.join(process.env.AGENT_FOLDER, instanceId));
+  if (!fs.existsSync(paths.state)) return null;
+  let result;
   try {
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
-  } catch (_) {}
-
-  const parsed = url.parse(req.url, true);
-  const method = req.method || 'GET';
-
-  if (method === 'OPTIONS') {
-    try { res.writeHead(204); } catch (_) {}
-    res.end();
-    return;
+    result = acquireInstanceLock(paths.state, owner);
+  } catch (e) {
+    res.writeHead(500, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: `instance_lock_failed: ${e.message || e}` }));
+    return false;
+  }
+  if (result.busy) {
+    res.writeHead(409, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'instance_busy', instance_id: instanceId, lock: describeLock(result.busy) }));
+    return false;
+  }
+  if (result.lock.recovered) {
+    appendLogLocal(`[WARN] Took over stale instance lock (${result.lock.recovered.reason})`, paths.runLog);
+  }
+  return result.lock;
+}
+
+// Optimistic concurrency: the meta.json revision a client based its request on, from If-Match
+// ("3", W/"3" or 3) or `expected_revision`. undefined when absent (or If-Match: *), NaN if malformed.
+function requestedRevision(req, fields) {
+  const header = req.headers['if-match'];
+  const raw = header !== undefined ? String(header).replace(/^W\//, '').replace(/"/g, '').trim() : fields && fields.expected_revision;
+  if (raw === undefined || raw === null || raw === '' || raw === '*') return undefined;
+  const revision = Number(raw);
+  return Number.isInteger(revision) && revision >= 0 ? revision : NaN;
+}
+
+function sendRevisionConflict(res, instanceId, expected, revision) {
+  res.writeHead(409, { 'content-type': 'application/json' });
+  res.end(JSON.stringify({ error: 'revision_conflict', instance_id: instanceId, expected_revision: expected, revision }));
+}
+
+// Check a requested revision against meta.json (call while holding the instance lock). Returns
+// true to go ahead, false after answering 400 invalid_expected_revision / 409 revision_conflict.
+function checkRevision(res, instanceId, expected) {
+  if (expected === undefined) return true;
+  if (Number.isNaN(expected)) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'invalid_expected_revision' }));
+    return false;
+  }
+  if (!instanceId || !process.env.AGENT_FOLDER) return true;
+  const meta = readMeta(resolveAgentPaths(path.join(process.env.AGENT_FOLDER, instanceId)).meta);
+  if (!meta) return true;
+  const revision = Number(meta.revision) || 0;
+  if (revision === expected) return true;
+  sendRevisionConflict(res, instanceId, expected, revision);
+  return false;
+}
+
+// Idempotency-Key on send-capable routes is copied into the body, so queued jobs and scheduled
+// sends keep it. Returns false after answering 400 for a malformed key.
+function applyIdempotencyKey(req, res, body) {
+  const idem = readIdempotencyKey(req.headers, body);
+  if (idem.error) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: idem.error }));
+    return false;
+  }
+  if (idem.key) body.idempotency_key = idem.key;
+  return true;
+}
+
+// A keyed retry of a send that already went out gets the original send id, without generating
+// or sending again. Returns true when it answered; an incomplete send is left to sendEmailFlow
+// to resume.
+function replayKeyedSend(res, body) {
+  const key = body.idempotency_key;
+  if (!key || !body.instance_id || !process.env.AGENT_FOLDER || body.dedupe === false) return false;
+  const paths = resolveAgentPaths(path.join(process.env.AGENT_FOLDER, body.instance_id));
+  const meta = readMeta(paths.meta);
+  const prior = meta && findRecentSend(meta.sends, { key }, getIdempotencyConfig(loadConfig(paths.config)).windowMs);
+  if (!sendComplete(prior)) return false;
+  appendLogLocal(`[INFO] Idempotency-Key ${key} already used by send ${prior.id} at ${prior.at}; returning it`, paths.runLog);
+  res.writeHead(200, { 'content-type': 'application/json' });
+  res.end(JSON.stringify({ ok: true, id: prior.id, duplicate: true, idempotency_key: key, sent_at: prior.at }));
+  return true;
+}
+
+// Run a route body while holding the instance lock; released afterwards unless handed to a job
+async function withInstanceLock(res, instanceId, owner, fn) {
+  const lock = lockInstance(res, instanceId, owner);
+  if (lock === false) return undefined;
+  try {
+    return await fn(lock);
+  } finally {
+    if (lock && !lock.handedOff) releaseInstanceLock(lock);
+  }
+}
+
+// Job runner: use the lock handed over by the route, or (for jobs recovered after a restart)
+// take it afresh; always released when the job ends. A recovered job that finds the instance
+// locked by a live run only fails its own record: meta.json belongs to that run.
+async function runLockedJob(job, fn) {
+  let lock = jobLocks.get(job.id);
+  jobLocks.delete(job.id);
+  if (!lock) {
+    const paths = resolveAgentPaths(path.join(process.env.AGENT_FOLDER, job.instance_id));
+    const result = acquireInstanceLock(paths.state, job.type);
+    if (result.busy) throw new Error(`instance_busy: locked by ${result.busy.owner} (pid ${result.busy.pid})`);
+    lock = result.lock;
+  }
+  try {
+    return await fn(job.payload);
+  } finally {
+    releaseInstanceLock(lock);
+  }
+}
+
+function instanceJobContext(instanceId) {
+  const paths = resolveAgentPaths(path.join(process.env.AGENT_FOLDER, instanceId));
+  return { paths, base: loadConfig(paths.config), metaPath: paths.meta };
+}
+
+// Queue a job and answer 202 with its id and status link; if it cannot be queued the instance
+// is aborted and the client gets a 500. The route's instance lock passes to the job.
+function acceptJob(res, type, instanceId, payload, metaPath, extra, lock) {
+  const statusUrl = `/api/email-agent/status?instance_id=${encodeURIComponent(instanceId)}`;
+  let job;
+  try {
+    job = enqueueJob(type, instanceId, payload);
+  } catch (e) {
+    const message = `job_queue_error: ${e.message || e}`;
+    if (metaPath) updateMetaJson(metaPath, 'abort', { last_error: message });
+    res.writeHead(500, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: message }));
+    return null;
+  }
+  if (lock) {
+    lock.handedOff = true;
+    jobLocks.set(job.id, lock);
+  }
+  if (metaPath) updateMetaJson(metaPath, null, { last_job_id: job.id });
+  const jobUrl = `/api/email-agent/jobs?instance_id=${encodeURIComponent(instanceId)}`;
+  res.writeHead(202, { 'content-type': 'application/json', Location: statusUrl });
+  res.end(JSON.stringify({ accepted: true, ...extra, instance_id: instanceId, job_id: job.id, links: { status: statusUrl, job: jobUrl } }));
+  return job;
+}
+
+// Job "generate": background half of async POST /generate
+async function runAsyncGenerate(body) {
+  const { paths, base, metaPath } = instanceJobContext(body.instance_id);
+  try {
+    const ctx = { paths, base };
+    const gen = await generateEmailFlow(body, ctx);
+    if (gen.aborted) {
+      return;
+    }
+    if (gen.error || gen.errorObj) {
+      const errMsg = gen.error || (gen.errorObj && `${gen.errorObj.code}${gen.errorObj.path ? ` (${gen.errorObj.path})` : ''}`) || 'unknown_error';
+      agent_log({ message: `async generate error: ${errMsg}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      const metaErr2 = updateMetaJson(metaPath, 'abort', { last_error: errMsg });
+      if (metaErr2) agent_log({ message: `meta.json error: ${metaErr2}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+    const metaErr3 = updateMetaJson(metaPath, 'finished', { last_error: null, last_html_path: gen.htmlOutputRel });
+    if (metaErr3) {
+      agent_log({ message: `meta.json error: ${metaErr3}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+    agent_log({ message: 'state - finished', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  } catch (e) {
+    agent_log({ message: `async generate exception: ${e.stack || e.message}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    const metaErr4 = updateMetaJson(metaPath, 'abort', { last_error: String(e && (e.stack || e.message) || e) });
+    if (metaErr4) agent_log({ message: `meta.json error: ${metaErr4}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  }
+}
+
+// Job "send": background half of async POST /send
+async function runAsyncSend(body) {
+  const { paths, base, metaPath } = instanceJobContext(body.instance_id);
+  try {
+    const ctx = { paths, base };
+    const sent = await sendEmailFlow(body, base, ctx);
+    if (sent.aborted) {
+      return;
+    }
+    if (sent.error) {
+      agent_log({ message: `async send error: ${sent.error}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      const metaErr2 = updateMetaJson(metaPath, 'abort', { last_error: sent.error });
+      if (metaErr2) agent_log({ message: `meta.json error: ${metaErr2}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+    if (sent.halted === 'waiting-for-response' || sent.scheduled) {
+      // Leave as active (or scheduled) and exit gracefully
+      return;
+    }
+    const metaErr3 = updateMetaJson(metaPath, 'finished', { last_error: null, last_send_id: sent.id });
+    if (metaErr3) {
+      agent_log({ message: `meta.json error: ${metaErr3}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+    agent_log({ message: 'state - finished', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  } catch (e) {
+    agent_log({ message: `async send exception: ${e.stack || e.message}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    const metaErr4 = updateMetaJson(metaPath, 'abort', { last_error: String(e && (e.stack || e.message) || e) });
+    if (metaErr4) agent_log({ message: `meta.json error: ${metaErr4}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  }
+}
+
+// Job "generate-send": background half of async POST /generate-send (and GET /launch)
+async function runAsyncGenerateSend(body) {
+  const { paths, base, metaPath } = instanceJobContext(body.instance_id);
+  try {
+    console.log('[DEBUG] Async workflow: Starting generateEmailFlow');
+    const ctx = { paths, base };
+    const gen = await generateEmailFlow(body, ctx);
+    console.log('[DEBUG] generateEmailFlow completed:', { aborted: gen.aborted, hasError: !!gen.error, hasErrorObj: !!gen.errorObj });
+
+    if (gen.aborted) {
+      console.log('[DEBUG] Generation was aborted, exiting');
+      return;
+    }
+    if (gen.error || gen.errorObj) {
+      const errMsg = gen.error || (gen.errorObj && `${gen.errorObj.code}${gen.errorObj.path ? ` (${gen.errorObj.path})` : ''}`) || 'unknown_error';
+      console.error('[ERROR] Generation failed:', errMsg);
+      agent_log({ message: `async generate-send (generate) error: ${errMsg}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      const metaErr2 = updateMetaJson(metaPath, 'abort', { last_error: errMsg });
+      if (metaErr2) agent_log({ message: `meta.json error: ${metaErr2}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+
+    console.log('[DEBUG] Async workflow: Starting sendEmailFlow');
+    const sent = await sendEmailFlow(body, base, ctx, gen.html);
+    console.log('[DEBUG] sendEmailFlow completed:', { aborted: sent.aborted, hasError: !!sent.error, halted: sent.halted });
+
+    if (sent.aborted) {
+      console.log('[DEBUG] Send was aborted, exiting');
+      return;
+    }
+    if (sent.error) {
+      console.error('[ERROR] Send failed:', sent.error);
+      agent_log({ message: `async generate-send (send) error: ${sent.error}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      const metaErr3 = updateMetaJson(metaPath, 'abort', { last_error: sent.error, last_html_path: gen.htmlOutputRel });
+      if (metaErr3) agent_log({ message: `meta.json error: ${metaErr3}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+    if (sent.halted === 'waiting-for-response') {
+      console.log('[DEBUG] Workflow halted, waiting for human response');
+      // Leave as active and exit gracefully
+      return;
+    }
+    if (sent.scheduled) {
+      console.log('[DEBUG] Send scheduled for', sent.scheduled);
+      updateMetaJson(metaPath, null, { last_html_path: gen.htmlOutputRel });
+      return;
+    }
+
+    console.log('[DEBUG] Workflow completed successfully, updating to finished');
+    const metaErr4 = updateMetaJson(metaPath, 'finished', { last_error: null, last_html_path: gen.htmlOutputRel, last_send_id: sent.id });
+    if (metaErr4) {
+      console.error('[ERROR] Failed to update meta to finished:', metaErr4);
+      agent_log({ message: `meta.json error: ${metaErr4}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+      agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+      return;
+    }
+    console.log('[DEBUG] Instance finished successfully');
+    agent_log({ message: 'state - finished', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  } catch (e) {
+    console.error('[ERROR] Async workflow exception:', e.stack || e.message);
+    agent_log({ message: `async generate-send exception: ${e.stack || e.message}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    const metaErr5 = updateMetaJson(metaPath, 'abort', { last_error: String(e && (e.stack || e.message) || e) });
+    if (metaErr5) agent_log({ message: `meta.json error: ${metaErr5}`, config: normalizeConfig(base), runLogOverride: paths.runLog });
+    agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+  }
+}
+
+// Job "hitl-modify": regenerate with the reviewer's instructions, then send (back to HITL)
+async function runHitlModify({ instance_id: instanceId, information: info }) {
+  const ctx = resolveContext({ instance_id: instanceId }, { activate: false });
+  if (ctx.error) throw new Error(ctx.error);
+  const base = ctx.base;
+  try {
+    // Generate with additional user instructions, then send
+    const gen = await generateEmailFlow({ instance_id: instanceId, instructions: info }, ctx);
+    if (gen.aborted) {
+      return;
+    }
+    if (gen.error || gen.errorObj) {
+      const errMsg = gen.error || (gen.errorObj && `${gen.errorObj.code}${gen.errorObj.path ? ` (${gen.errorObj.path})` : ''}`) || 'unknown_error';
+      agent_log({ message: `modify flow error: ${errMsg}`,
+        config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
+      // Keep instance active; do not change state on modify errors
+      return;
+    }
+    // Re-review as the round counted by the modify callback
+    const meta = readMeta(ctx.paths.meta) || {};
+    const sent = await sendEmailFlow({ instance_id: instanceId, hitl_loop: meta.hitl_loop || 0 }, gen.base, gen.ctx, gen.html);
+    if (sent && sent.aborted) {
+      return;
+    }
+    if (sent && sent.error) {
+      agent_log({ message: `modify send error: ${sent.error}`,
+        config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
+      // Keep instance active; do not change state on modify errors
+      return;
+    }
+    if (sent && (sent.halted === 'waiting-for-response' || sent.scheduled)) {
+      // NOTE: Do not change instance state here; remain 'active' (or 'scheduled').
+      const infoSuffix = info && info.trim() ? `, information: "${info.trim()}"` : '';
+      agent_log({ message: `finish processing HITL workitem response of modify${infoSuffix}`,
+        config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
+      return;
+    }
+    // Success path; remain active after modify
+    const infoSuffix = info && info.trim() ? `, information: "${info.trim()}"` : '';
+    agent_log({ message: `finish processing HITL workitem response of modify${infoSuffix}`,
+      config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
+  } catch (e) {
+    agent_log({ message: `modify flow exception: ${e.stack || e.message}`,
+      config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
+  }
+}
+
+// Jobs that may already have sent mail are not re-run after a restart: the instance is aborted
+// with an explanation instead (a partly delivered send can continue via POST /resume)
+function abortInterruptedJob(job) {
+  const { paths, base, metaPath } = instanceJobContext(job.instance_id);
+  const meta = readMeta(metaPath);
+  if (!meta || meta.status !== 'active') return;
+  const message = `job_interrupted: server restarted during ${job.type} job ${job.id} (started ${job.started_at}); re-run the request, or POST /api/email-agent/resume to finish a partly delivered send`;
+  const metaErr = updateMetaJson(metaPath, 'abort', { last_error: message });
+  if (metaErr) appendLogLocal(`[ERROR] Failed to update meta.json: ${metaErr}`, paths.runLog);
+  appendProgress(metaPath, `${job.type} job interrupted by a server restart`);
+  agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: paths.runLog });
+}
+
+const jobQueueConfig = getJobQueueConfig();
+initJobQueue({
+  dir: process.env.JOB_QUEUE_DIR || path.join(process.env.AGENT_FOLDER || OUTPUTS_DIR, '.jobs'),
+  concurrency: jobQueueConfig.concurrency,
+});
+registerJobHandler('generate', { run: job => runLockedJob(job, runAsyncGenerate), resumable: true, onInterrupted: abortInterruptedJob });
+registerJobHandler('send', { run: job => runLockedJob(job, runAsyncSend), onInterrupted: abortInterruptedJob });
+registerJobHandler('generate-send', { run: job => runLockedJob(job, runAsyncGenerateSend), onInterrupted: abortInterruptedJob });
+registerJobHandler('hitl-modify', { run: job => runLockedJob(job, runHitlModify), onInterrupted: abortInterruptedJob });
+
+const STREAM_HEARTBEAT_MS = 15000;
+const STREAM_END_STATUSES = ['finished', 'abort'];
+
+// SSE stream of an instance: a `snapshot` (status, live LLM call, partial HTML), then `status`,
+// `progress`, `llm_start`, `token`, `html`, `llm_done` and `llm_error` as they happen, and
+// `end` once the instance finishes or aborts
+function handleStreamRequest(req, res, parsed) {
+  const instanceId = parsed.query && parsed.query.instance_id;
+  if (!instanceId) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'missing_instance_id' }));
+    return;
+  }
+  const baseFolder = process.env.AGENT_FOLDER;
+  if (!baseFolder) {
+    res.writeHead(400, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'missing_env_AGENT_FOLDER' }));
+    return;
+  }
+  const meta = readMeta(path.join(baseFolder, instanceId, 'meta.json'));
+  if (!meta) {
+    res.writeHead(404, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ error: 'meta_not_found_or_invalid' }));
+    return;
+  }
+  const streamKey = instanceIdFromStateDir(path.resolve(baseFolder, instanceId));
+  res.writeHead(200, {
+    'content-type': 'text/event-stream',
+    'cache-control': 'no-cache',
+    connection: 'keep-alive',
+    'x-accel-buffering': 'no',
+  });
+  let unsubscribe = null;
+  let heartbeat = null;
+  const close = () => {
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    if (!res.writableEnded) res.end();
+  };
+  const send = (event, data) => {
+    if (!res.writableEnded) res.write(formatSse(event, data));
+  };
+  const status = typeof meta.status === 'string' ? meta.status.toLowerCase() : null;
+  const live = getLiveGeneration(streamKey);
+  send('snapshot', {
+    instance_id: instanceId,
+    status,
+    last_error: meta.last_error || null,
+    llm: live ? { attempt: live.attempt, repair: live.repair, provider: live.provider, model: live.model, started_at: live.started_at, chars: live.text.length } : null,
+    html: live ? partialAnswer(live.text) || null : null,
+  });
+  if (STREAM_END_STATUSES.includes(status)) {
+    send('end', { status });
+    close();
+    return;
+  }
+  unsubscribe = subscribe(streamKey, (evt) => {
+    send(evt.type, { ...evt.data, at: evt.at });
+    if (evt.type === 'status' && STREAM_END_STATUSES.includes(evt.data.status)) {
+      send('end', { status: evt.data.status });
+      close();
+    }
+  });
+  heartbeat = setInterval(() => {
+    if (!res.writableEnded) res.write(': ping\n\n');
+  }, STREAM_HEARTBEAT_MS);
+  req.on('close', close);
+}
+
+const server = http.createServer(async (req, res) => {
+  // Allow cross-origin requests from AMP frontend
+  try {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, Idempotency-Key');
+    res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  } catch (_) {}
+
+  const parsed = url.parse(req.url, true);
+  const method = req.method || 'GET';
+
+  if (method === 'OPTIONS') {
+    try { res.writeHead(204); } catch (_) {}
+    res.end();
+    return;
   }
 
   if (method === 'GET' && parsed.pathname === '/health') {
@@ -1327,7 +2502,16 @@ const server = http.createServer(async (req, res) => {
       res.end(JSON.stringify({ error: 'missing_response_param' }));
       return;
     }
+    const idem = readIdempotencyKey(req.headers, body);
+    if (idem.error) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: idem.error }));
+      return;
+    }
+    const lock = lockInstance(res, instanceId, `hitl-callback:${respond}`);
+    if (lock === false) return;
     try {
+      if (!checkRevision(res, instanceId, requestedRevision(req, body))) return;
       const ctx = resolveContext({ instance_id: instanceId }, { activate: false });
       console.log(`[HITL-CALLBACK] Context resolved: error=${ctx.error}, hasBase=${!!ctx.base}, hasPaths=${!!ctx.paths}`);
       if (ctx.error) {
@@ -1339,7 +2523,7 @@ const server = http.createServer(async (req, res) => {
       const base = ctx.base;
       const normalizedConfig = normalizeConfig(base);
       // Log receipt of WI response and include a concise info snippet when present
-      const metaPath = ctx.paths ? path.join(ctx.paths.root, 'meta.json') : undefined;
+      const metaPath = ctx.paths ? ctx.paths.meta : undefined;
       const rawInfoSuffix = (label) => {
         const text = (info || '').trim();
         return text ? `, ${label}="${text}"` : '';
@@ -1361,27 +2545,107 @@ const server = http.createServer(async (req, res) => {
         }
       }
 
-      if (respond === 'approve') {
+      // Review-round limit: a modify once HITL_MAX_LOOPS rounds were used ends the cycle as
+      // configured (an escalated cycle that is modified again is aborted)
+      let action = respond;
+      let limit = null;
+      if (respond === 'modify' && info && metaPath) {
+        const meta = readMeta(metaPath) || {};
+        const loops = meta.hitl_loop || 0;
+        const { maxLoops, onLimit } = getHitlLoopConfig(base);
+        if (loops >= maxLoops) {
+          limit = { loops, max_loops: maxLoops, outcome: meta.hitl_escalated ? 'abort' : onLimit };
+          action = limit.outcome === 'approve' ? 'approve' : `limit-${limit.outcome}`;
+          recordHitlDecision(metaPath, 'modify', info);
+          appendProgress(metaPath, `hitl max loops reached (${loops}/${maxLoops}), ${limit.outcome}`);
+          agent_log({ message: `hitl max loops reached (${loops} of ${maxLoops} modify rounds used), outcome: ${limit.outcome}`, config: normalizedConfig, runLogOverride: ctx.paths.runLog });
+        }
+      }
+
+      // Approving or escalating sends from a live run; a callback for an instance that was not
+      // waiting (e.g. new or finished) starts one first
+      if (action === 'approve' || action === 'limit-escalate') {
+        const activateErr = activateForSend(ctx, base, 'hitl callback');
+        if (activateErr) {
+          res.writeHead(400, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: `meta.json error: ${activateErr}` }));
+          return;
+        }
+      }
+
+      if (action === 'limit-abort') {
+        const metaErr = updateMetaJson(metaPath, 'abort', { last_error: `hitl_max_loops_reached: ${limit.loops} modify round(s), limit ${limit.max_loops}` });
+        if (metaErr) {
+          agent_log({ message: `meta.json error: ${metaErr}`, config: normalizedConfig, runLogOverride: ctx.paths.runLog });
+          res.writeHead(500, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: metaErr }));
+          return;
+        }
+        agent_log({ message: 'state - abort (hitl max loops reached)', config: normalizedConfig, runLogOverride: ctx.paths.runLog });
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, status: 'abort', reason: 'hitl_max_loops_reached', ...limit }));
+        return;
+      }
+
+      if (action === 'limit-escalate') {
+        // One more review round, flagged so the HITL service can route it to an escalation reviewer
+        updateMetaJson(metaPath, null, { hitl_escalated: new Date().toISOString() });
+        const escalation = { reason: 'max_loops_reached', loops: limit.loops, max_loops: limit.max_loops, information: info };
+        const sent = await sendEmailFlow({ instance_id: instanceId, hitl_loop: limit.loops + 1, hitl_escalation: escalation, idempotency_key: idem.key }, base, ctx);
+        if (sent && sent.aborted) {
+          res.writeHead(409, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: 'instance_aborted' }));
+          return;
+        }
+        if (sent && sent.error) {
+          abortFailedSend(ctx, base, sent.error);
+          res.writeHead(400, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: sent.error }));
+          return;
+        }
+        if (sent && (sent.halted || sent.scheduled)) {
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ ok: true, status: sent.scheduled ? 'scheduled' : 'wait', escalated: true, ...limit }));
+          return;
+        }
+        // The HITL service let the escalated round through: it was sent as is
+        const metaErr = updateMetaJson(metaPath, 'finished', { last_send_id: sent.id });
+        if (metaErr) agent_log({ message: `meta.json error: ${metaErr}`, config: normalizedConfig, runLogOverride: ctx.paths.runLog });
+        else agent_log({ message: 'state - finished', config: normalizedConfig, runLogOverride: ctx.paths.runLog });
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, id: sent.id, escalated: true, ...limit }));
+        return;
+      }
+
+      if (action === 'approve') {
         console.log('[HITL-CALLBACK] Processing approve action');
+        if (metaPath && !limit) recordHitlDecision(metaPath, 'approve', info);
         // Avoid noisy agent_log for 'wi response - approve'
-        const sent = await sendEmailFlow({ instance_id: instanceId, skipHitl: true }, base, ctx);
+        // A repeated approve finds the first send (by key or content) and returns its id
+        const sent = await sendEmailFlow({ instance_id: instanceId, skipHitl: true, idempotency_key: idem.key }, base, ctx);
         if (sent && sent.aborted) {
           res.writeHead(409, { 'content-type': 'application/json' });
           res.end(JSON.stringify({ error: 'instance_aborted' }));
           return;
         }
         if (sent && sent.error) {
+          abortFailedSend(ctx, base, sent.error);
           res.writeHead(400, { 'content-type': 'application/json' });
           res.end(JSON.stringify({ error: sent.error }));
           return;
         }
+        if (sent && sent.scheduled) {
+          res.writeHead(200, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ ok: true, status: 'scheduled', send_at: sent.scheduled }));
+          return;
+        }
         res.writeHead(200, { 'content-type': 'application/json' });
-        res.end(JSON.stringify({ ok: true, id: sent.id }));
+        res.end(JSON.stringify({ ok: true, id: sent.id, ...(sent.duplicate ? { duplicate: true } : {}), ...(limit ? { forced_approval: true, ...limit } : {}) }));
         // finalize state for instances (also logs 'state - finished')
         const infoSuffix = info && info.trim() ? `, information: ${summarizeInfoText(info)}` : '';
         if (ctx.paths) {
-          const metaPath = path.join(ctx.paths.root, 'meta.json');
-          const metaErr = updateMetaJson(metaPath, 'finished');
+          const metaPath = ctx.paths.meta;
+          const metaErr = updateMetaJson(metaPath, 'finished', { last_send_id: sent.id });
           if (metaErr) {
             agent_log({ message: `meta.json error: ${metaErr}`, config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
             agent_log({ message: 'state - abort', config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
@@ -1405,52 +2669,13 @@ const server = http.createServer(async (req, res) => {
           res.end(JSON.stringify({ error: 'missing_information' }));
           return;
         }
-        // Respond quickly and process in background to avoid long waits
-        const statusUrl = `/api/email-agent/status?instance_id=${encodeURIComponent(instanceId)}`;
-        res.writeHead(202, { 'content-type': 'application/json', Location: statusUrl });
-        res.end(JSON.stringify({ accepted: true, status: 'processing', action: 'modify', instance_id: instanceId, links: { status: statusUrl } }));
-
-        // Background job: generate with user instructions and then send
-        setImmediate(async () => {
-          try {
-            // Generate with additional user instructions, then send
-            const gen = await generateEmailFlow({ instance_id: instanceId, instructions: info }, ctx);
-            if (gen.aborted) {
-              return;
-            }
-            if (gen.error || gen.errorObj) {
-              const errMsg = gen.error || (gen.errorObj && `${gen.errorObj.code}${gen.errorObj.path ? ` (${gen.errorObj.path})` : ''}`) || 'unknown_error';
-              agent_log({ message: `modify flow error: ${errMsg}`,
-                config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
-              // Keep instance active; do not change state on modify errors
-              return;
-            }
-            const sent = await sendEmailFlow({ instance_id: instanceId }, gen.base, gen.ctx, gen.html);
-            if (sent && sent.aborted) {
-              return;
-            }
-            if (sent && sent.error) {
-              agent_log({ message: `modify send error: ${sent.error}`,
-                config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
-              // Keep instance active; do not change state on modify errors
-              return;
-            }
-            if (sent && sent.halted === 'waiting-for-response') {
-              // NOTE: Do not change instance state here; remain 'active'.
-              const infoSuffix = info && info.trim() ? `, information: "${info.trim()}"` : '';
-              agent_log({ message: `finish processing HITL workitem response of modify${infoSuffix}`,
-                config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
-              return;
-            }
-            // Success path; remain active after modify
-            const infoSuffix = info && info.trim() ? `, information: "${info.trim()}"` : '';
-            agent_log({ message: `finish processing HITL workitem response of modify${infoSuffix}`,
-              config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
-          } catch (e) {
-            agent_log({ message: `modify flow exception: ${e.stack || e.message}`,
-              config: normalizeConfig(base), runLogOverride: ctx.paths ? ctx.paths.runLog : undefined });
-          }
-        });
+        // Count the round; the regenerated email goes back to review with the new loop index
+        if (metaPath) {
+          recordHitlDecision(metaPath, 'modify', info);
+          updateMetaJson(metaPath, null, meta => ({ hitl_loop: (meta.hitl_loop || 0) + 1 }));
+        }
+        // Respond quickly and regenerate + send in a background job to avoid long waits
+        acceptJob(res, 'hitl-modify', instanceId, { instance_id: instanceId, information: info }, metaPath, { status: 'processing', action: 'modify' }, lock);
         return;
       }
 
@@ -1462,9 +2687,12 @@ const server = http.createServer(async (req, res) => {
           return;
         }
         // Avoid noisy agent_log for 'wi response - reject'; set state to abort
-        if (metaPath) appendProgress(metaPath, `reject reason: ${info}`);
+        if (metaPath) {
+          appendProgress(metaPath, `reject reason: ${info}`);
+          recordHitlDecision(metaPath, 'reject', info);
+        }
         if (ctx.paths) {
-          const metaPath = path.join(ctx.paths.root, 'meta.json');
+          const metaPath = ctx.paths.meta;
           const metaErr = updateMetaJson(metaPath, 'abort');
           if (metaErr) {
             agent_log({ message: `meta.json error: ${metaErr}`, config: normalizeConfig(base), runLogOverride: ctx.paths.runLog });
@@ -1494,6 +2722,9 @@ const server = http.createServer(async (req, res) => {
       console.error('[HITL-CALLBACK] Error processing request:', e);
       res.writeHead(500, { 'content-type': 'application/json' });
       res.end(JSON.stringify({ error: e.stack || e.message }));
+    } finally {
+      // modify hands the lock to its background job
+      if (lock && !lock.handedOff) releaseInstanceLock(lock);
     }
     return;
   }
@@ -1518,10 +2749,21 @@ const server = http.createServer(async (req, res) => {
       res.end(JSON.stringify({ error: ctx.error || 'abort_requires_instance_context' }));
       return;
     }
-    const metaPath = path.join(ctx.paths.root, 'meta.json');
+    const expected = requestedRevision(req, body);
+    if (Number.isNaN(expected)) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'invalid_expected_revision' }));
+      return;
+    }
+    const metaPath = ctx.paths.meta;
     const progressMsg = reason ? `abort requested via API (${summarizeInfoText(reason)})` : 'abort requested via API';
     const updates = reason ? { last_error: reason } : undefined;
-    const metaErr = updateMetaJson(metaPath, 'abort', updates);
+    // abort takes no instance lock, so the revision is checked inside the meta.json update
+    const metaErr = updateMetaJson(metaPath, 'abort', updates, { expectedRevision: expected });
+    if (metaErr && metaErr.startsWith('revision_conflict')) {
+      sendRevisionConflict(res, instanceId, expected, Number((readMeta(metaPath) || {}).revision) || 0);
+      return;
+    }
     if (metaErr) {
       res.writeHead(500, { 'content-type': 'application/json' });
       res.end(JSON.stringify({ error: metaErr }));
@@ -1536,6 +2778,196 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Scheduled sends: POST /api/email-agent/cancel-schedule { instance_id }
+  //                  POST /api/email-agent/reschedule { instance_id, send_at, timezone? }
+  if (method === 'POST' && (parsed.pathname === '/api/email-agent/cancel-schedule' || parsed.pathname === '/api/email-agent/reschedule')) {
+    let body = {};
+    try { body = await readJsonBody(req); } catch (_) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'invalid_json' }));
+      return;
+    }
+    const instanceId = body && body.instance_id;
+    if (!instanceId) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'missing_instance_id' }));
+      return;
+    }
+    const lock = lockInstance(res, instanceId, parsed.pathname.slice('/api/email-agent/'.length));
+    if (lock === false) return;
+    try {
+      if (!checkRevision(res, instanceId, requestedRevision(req, body))) return;
+      const ctx = resolveContext({ instance_id: instanceId }, { activate: false });
+      if (ctx.error || !ctx.paths) {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: ctx.error || 'schedule_requires_instance_context' }));
+        return;
+      }
+      const metaPath = ctx.paths.meta;
+      const meta = readMeta(metaPath);
+      if (!meta || meta.status !== 'scheduled' || !meta.scheduled_send) {
+        res.writeHead(409, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: 'not_scheduled', status: meta ? meta.status : null }));
+        return;
+      }
+      if (parsed.pathname === '/api/email-agent/cancel-schedule') {
+        cancelSchedule(instanceId);
+        const scheduled = { ...meta.scheduled_send, cancelled_at: new Date().toISOString() };
+        const metaErr = updateMetaJson(metaPath, 'abort', { scheduled_send: scheduled, last_error: 'scheduled_send_cancelled' });
+        if (metaErr) {
+          res.writeHead(500, { 'content-type': 'application/json' });
+          res.end(JSON.stringify({ error: metaErr }));
+          return;
+        }
+        appendProgress(metaPath, `scheduled send cancelled (was ${meta.scheduled_send.send_at})`);
+        agent_log({ message: 'state - abort (scheduled send cancelled)', config: normalizeConfig(ctx.base), runLogOverride: ctx.paths.runLog });
+        res.writeHead(200, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ ok: true, status: 'abort', instance_id: instanceId }));
+        return;
+      }
+      const sendAt = parseSendAt(body.send_at, body.timezone || body.send_at_timezone);
+      if (sendAt.error) {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: sendAt.error }));
+        return;
+      }
+      const scheduled = { ...meta.scheduled_send, send_at: sendAt.send_at, timezone: sendAt.timezone, requested: sendAt.requested, rescheduled_at: new Date().toISOString() };
+      const metaErr = updateMetaJson(metaPath, null, { scheduled_send: scheduled });
+      if (metaErr) {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: metaErr }));
+        return;
+      }
+      armSchedule(instanceId, sendAt.at, fireScheduledSend);
+      appendProgress(metaPath, `rescheduled for ${sendAt.send_at}`);
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, status: 'scheduled', instance_id: instanceId, send_at: sendAt.send_at }));
+    } finally {
+      releaseInstanceLock(lock);
+    }
+    return;
+  }
+
+  // Recurring campaigns: POST /api/email-agent/pause-schedule | resume-schedule { instance_id }
+  if (method === 'POST' && (parsed.pathname === '/api/email-agent/pause-schedule' || parsed.pathname === '/api/email-agent/resume-schedule')) {
+    let body = {};
+    try { body = await readJsonBody(req); } catch (_) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'invalid_json' }));
+      return;
+    }
+    const instanceId = body && body.instance_id;
+    if (!instanceId) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'missing_instance_id' }));
+      return;
+    }
+    const lock = lockInstance(res, instanceId, parsed.pathname.slice('/api/email-agent/'.length));
+    if (lock === false) return;
+    try {
+      if (!checkRevision(res, instanceId, requestedRevision(req, body))) return;
+      const ctx = resolveContext({ instance_id: instanceId }, { activate: false });
+      if (ctx.error || !ctx.paths) {
+        res.writeHead(400, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: ctx.error || 'schedule_requires_instance_context' }));
+        return;
+      }
+      const cfg = getRecurringConfig(ctx.base);
+      if (!cfg || cfg.error) {
+        res.writeHead(cfg ? 400 : 409, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: cfg ? cfg.error : 'no_recurring_schedule' }));
+        return;
+      }
+      const pause = parsed.pathname === '/api/email-agent/pause-schedule';
+      const metaErr = updateMetaJson(ctx.paths.meta, null, (meta) => {
+        const recurring = { ...(meta.recurring || {}), paused: pause };
+        if (pause) recurring.next_run_at = null;
+        return { recurring };
+      });
+      if (metaErr) {
+        res.writeHead(500, { 'content-type': 'application/json' });
+        res.end(JSON.stringify({ error: metaErr }));
+        return;
+      }
+      let nextRunAt = null;
+      if (pause) {
+        cancelSchedule(recurringTimerKey(instanceId));
+        recurringArmed.delete(instanceId);
+      } else {
+        recurringArmed.delete(instanceId);
+        nextRunAt = armRecurring(instanceId, ctx.paths, ctx.base);
+      }
+      appendProgress(ctx.paths.meta, pause ? 'recurring schedule paused' : `recurring schedule resumed (next run ${nextRunAt})`);
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, instance_id: instanceId, paused: pause, next_run_at: nextRunAt }));
+    } finally {
+      releaseInstanceLock(lock);
+    }
+    return;
+  }
+
+  // Recurring run records: GET /api/email-agent/runs?instance_id=xxx
+  if (method === 'GET' && parsed.pathname === '/api/email-agent/runs') {
+    const instanceId = parsed.query && parsed.query.instance_id;
+    if (!instanceId) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'missing_instance_id' }));
+      return;
+    }
+    const baseFolder = process.env.AGENT_FOLDER;
+    if (!baseFolder) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'missing_env_AGENT_FOLDER' }));
+      return;
+    }
+    const instancePath = path.join(baseFolder, instanceId);
+    const runs = listDirs(path.join(instancePath, 'runs')).sort().map((runId) => {
+      const meta = readMeta(path.join(instancePath, 'runs', runId, 'meta.json')) || {};
+      return { run_id: runId, instance_id: `${instanceId}/runs/${runId}`, status: meta.status, last_send_id: meta.last_send_id, last_error: meta.last_error };
+    });
+    const parentMeta = readMeta(path.join(instancePath, 'meta.json')) || {};
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ instance_id: instanceId, recurring: parentMeta.recurring || null, runs }));
+    return;
+  }
+
+  // Async job records: GET /api/email-agent/jobs[?instance_id=xxx&status=queued|running|done|failed|interrupted]
+  if (method === 'GET' && parsed.pathname === '/api/email-agent/jobs') {
+    const q = parsed.query || {};
+    const jobs = listJobs({ instanceId: q.instance_id, status: q.status });
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ instance_id: q.instance_id || null, jobs }));
+    return;
+  }
+
+  // Usage totals by owner across AGENT_FOLDER: GET /api/email-agent/usage[?owner=xxx]
+  if (method === 'GET' && parsed.pathname === '/api/email-agent/usage') {
+    const baseFolder = process.env.AGENT_FOLDER;
+    if (!baseFolder) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'missing_env_AGENT_FOLDER' }));
+      return;
+    }
+    const owner = parsed.query && parsed.query.owner ? String(parsed.query.owner).trim() : undefined;
+    res.writeHead(200, { 'content-type': 'application/json' });
+    res.end(JSON.stringify({ owner: owner || null, ...collectUsageByOwner(baseFolder, { owner }) }));
+    return;
+  }
+
+  if (method === 'GET' && parsed.pathname === '/api/email-agent/models') {
+    const { provider, endpoint } = getLLMConfig({ provider: parsed.query && parsed.query.provider });
+    try {
+      const listed = await listModels({ provider, endpoint });
+      res.writeHead(200, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ ...listed, endpoint: ['openai', 'anthropic'].includes(listed.provider) ? undefined : endpoint }));
+    } catch (e) {
+      const message = e.message || String(e);
+      res.writeHead(/^Unknown LLM provider/.test(message) ? 400 : 502, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: `model_listing_failed: ${message}` }));
+    }
+    return;
+  }
+
   // Dev-only: mock HITL endpoint (enable with env HITL_MOCK=1 or true)
   if (method === 'POST' && parsed.pathname === '/api/hitl-agent') {
     const enabled = String(process.env.HITL_MOCK || '').toLowerCase();
@@ -1576,10 +3008,11 @@ const server = http.createServer(async (req, res) => {
     const instancePath = path.join(baseFolder, instanceId);
     const metaPath = path.join(instancePath, 'meta.json');
     try {
-      const raw = fs.readFileSync(metaPath, 'utf8');
-      const meta = JSON.parse(raw);
-      res.writeHead(200, { 'content-type': 'application/json' });
-      res.end(JSON.stringify({ instance_id: instanceId, ...meta }));
+      const meta = readMetaFile(metaPath);
+      // Clients echo the revision back (If-Match / expected_revision) to guard their next change
+      const revision = Number(meta.revision) || 0;
+      res.writeHead(200, { 'content-type': 'application/json', 'ETag': `"${revision}"` });
+      res.end(JSON.stringify({ instance_id: instanceId, ...meta, revision }));
     } catch (e) {
       res.writeHead(404, { 'content-type': 'application/json' });
       res.end(JSON.stringify({ error: `meta_not_found_or_invalid: ${e.message}` }));
@@ -1600,6 +3033,18 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
+  // Live updates: GET /api/email-agent/stream?instance_id=xxx (Server-Sent Events)
+  if (method === 'GET' && parsed.pathname === '/api/email-agent/stream') {
+    handleStreamRequest(req, res, parsed);
+    return;
+  }
+
+  // Mail-merge preview: GET /api/email-agent/preview?instance_id=xxx&row=N (or &email=addr)
+  if (method === 'GET' && parsed.pathname === '/api/email-agent/preview') {
+    handleMergePreviewRequest(parsed, res);
+    return;
+  }
+
   // Launch endpoint: GET /api/email-agent/launch?instance_id=xxx
   // Lightweight wrapper that calls generate-send with async=true
   if (method === 'GET' && parsed.pathname === '/api/email-agent/launch') {
@@ -1611,12 +3056,17 @@ const server = http.createServer(async (req, res) => {
     }
     // Convert GET to POST body format for generate-send
     const body = { instance_id: instanceId, async: true };
+    if (!applyIdempotencyKey(req, res, body)) return;
     try {
       const ctx = resolveContext(body, { activate: false });
       const base = ctx && ctx.base ? ctx.base : {};
       agent_log({ message: 'receive API call: launch', config: normalizeConfig(base), runLogOverride: ctx && ctx.paths ? ctx.paths.runLog : undefined });
     } catch (_) { /* ignore logging errors */ }
-    return handleGenerateSend(req, res, body);
+    return withInstanceLock(res, instanceId, 'launch', (lock) => {
+      if (!checkRevision(res, instanceId, requestedRevision(req, parsed.query))) return undefined;
+      if (replayKeyedSend(res, body)) return undefined;
+      return handleGenerateSend(req, res, body, lock);
+    });
   }
 
   // Abort endpoint (GET wrapper): GET /api/email-agent/abort?instance_id=xxx
@@ -1635,10 +3085,21 @@ const server = http.createServer(async (req, res) => {
       res.end(JSON.stringify({ error: ctx.error || 'abort_requires_instance_context' }));
       return;
     }
-    const metaPath = path.join(ctx.paths.root, 'meta.json');
+    const expected = requestedRevision(req, parsed.query);
+    if (Number.isNaN(expected)) {
+      res.writeHead(400, { 'content-type': 'application/json' });
+      res.end(JSON.stringify({ error: 'invalid_expected_revision' }));
+      return;
+    }
+    const metaPath = ctx.paths.meta;
     const progressMsg = reason ? `abort requested via API (${summarizeInfoText(reason)})` : 'abort requested via API';
     const updates = reason ? { last_error: reason } : undefined;
-    const metaErr = updateMetaJson(metaPath, 'abort', updates);
+    // abort takes no instance lock, so the revision is checked inside the meta.json update
+    const metaErr = updateMetaJson(metaPath, 'abort', updates, { expectedRevision: expected });
+    if (metaErr && metaErr.startsWith('revision_conflict')) {
+      sendRevisionConflict(res, instanceId, expected, Number((readMeta(metaPath) || {}).revision) || 0);
+      return;
+    }
     if (metaErr) {
       res.writeHead(500, { 'content-type': 'application/json' });
       res.end(JSON.stringify({ error: metaErr }));
@@ -1653,7 +3114,7 @@ const server = http.createServer(async (req, res) => {
     return;
   }
 
-  if (method === 'POST' && (parsed.pathname === '/api/email-agent/generate' || parsed.pathname === '/api/email-agent/send' || parsed.pathname === '/api/email-agent/generate-send')) {
+  if (method === 'POST' && (parsed.pathname === '/api/email-agent/generate' || parsed.pathname === '/api/email-agent/send' || parsed.pathname === '/api/email-agent/generate-send' || parsed.pathname === '/api/email-agent/resume')) {
     console.log('[DEBUG] Received POST request to:', parsed.pathname);
     let body = {};
     try {
@@ -1665,6 +3126,7 @@ const server = http.createServer(async (req, res) => {
       res.end(JSON.stringify({ error: 'invalid_json', detail: String(e) }));
       return;
     }
+    if (parsed.pathname !== '/api/email-agent/generate' && !applyIdempotencyKey(req, res, body)) return;
 
     console.log('[DEBUG] Attempting to resolve context for instance_id:', body.instance_id);
     console.log('[DEBUG] AGENT_FOLDER env:', process.env.AGENT_FOLDER);
@@ -1684,15 +3146,22 @@ const server = http.createServer(async (req, res) => {
       if (parsed.pathname === '/api/email-agent/generate') label = 'generate';
       else if (parsed.pathname === '/api/email-agent/send') label = 'send';
       else if (parsed.pathname === '/api/email-agent/generate-send') label = 'generate-send';
+      else if (parsed.pathname === '/api/email-agent/resume') label = 'resume';
       agent_log({ message: `receive API call: ${label}`, config: normalizeConfig(base), runLogOverride: ctx && ctx.paths ? ctx.paths.runLog : undefined });
     } catch (err) {
       console.error('[ERROR] Logging failed:', err);
     }
 
     console.log('[DEBUG] Routing to handler for:', parsed.pathname);
-    if (parsed.pathname === '/api/email-agent/generate') return handleGenerate(req, res, body);
-    if (parsed.pathname === '/api/email-agent/send') return handleSend(req, res, body);
-    if (parsed.pathname === '/api/email-agent/generate-send') return handleGenerateSend(req, res, body);
+    const route = parsed.pathname.slice('/api/email-agent/'.length);
+    return withInstanceLock(res, body.instance_id, route, (lock) => {
+      if (!checkRevision(res, body.instance_id, requestedRevision(req, body))) return undefined;
+      if (route !== 'generate' && replayKeyedSend(res, body)) return undefined;
+      if (route === 'generate') return handleGenerate(req, res, body, lock);
+      if (route === 'send') return handleSend(req, res, body, lock);
+      if (route === 'generate-send') return handleGenerateSend(req, res, body, lock);
+      return handleResume(req, res, body, lock);
+    });
   }
 
   res.writeHead(404, { 'content-type': 'application/json' });
@@ -1702,4 +3171,16 @@ const server = http.createServer(async (req, res) => {
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, () => {
   console.log(`Email agent REST server listening on http://localhost:${PORT}`);
+  // Re-arm scheduled sends left by a previous run; overdue ones fire right away
+  discoverScheduled(process.env.AGENT_FOLDER).forEach(({ instanceId, at }) => {
+    console.log(`[scheduler] ${instanceId} scheduled for ${new Date(at).toISOString()}`);
+    armSchedule(instanceId, at, fireScheduledSend);
+  });
+  syncRecurringSchedules();
+  setInterval(syncRecurringSchedules, RECURRING_RESCAN_MS).unref();
+  // Pick up async jobs a previous process accepted but did not finish
+  const recovered = recoverJobs({ mode: jobQueueConfig.recovery, retentionDays: jobQueueConfig.retentionDays });
+  Object.keys(recovered).forEach((kind) => {
+    recovered[kind].forEach(id => console.log(`[jobs] ${kind}: ${id}`));
+  });
 });
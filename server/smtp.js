@@ -0,0 +1,248 @@
+// Minimal SMTP client used by the "smtp" email transport
+// No external deps: uses Node net/tls directly
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+const { buildMime } = require('./mime');
+
+const DEFAULT_TIMEOUT_MS = 30000;
+
+function parseBool(v) {
+  if (v === undefined || v === null || v === '') return undefined;
+  if (typeof v === 'boolean') return v;
+  const s = String(v).trim().toLowerCase();
+  if (s === '1' || s === 'true' || s === 'yes' || s === 'on') return true;
+  if (s === '0' || s === 'false' || s === 'no' || s === 'off') return false;
+  return undefined;
+}
+
+// Resolve SMTP settings from the instance `email.smtp` section, falling back to env.
+// Credentials are read from env only (SMTP_USER / SMTP_PASS) so they never live in config.json.
+function getSmtpConfig(emailCfg) {
+  const smtpCfg = (emailCfg && emailCfg.smtp) || {};
+  const secure = parseBool(smtpCfg.secure !== undefined ? smtpCfg.secure : process.env.SMTP_SECURE) || false;
+  const starttls = parseBool(smtpCfg.starttls !== undefined ? smtpCfg.starttls : process.env.SMTP_STARTTLS);
+  const host = smtpCfg.host || process.env.SMTP_HOST;
+  const port = Number(smtpCfg.port || process.env.SMTP_PORT || (secure ? 465 : 587));
+  const timeout = Number(smtpCfg.timeout_ms || process.env.SMTP_TIMEOUT_MS || DEFAULT_TIMEOUT_MS);
+  const rejectUnauthorized = parseBool(smtpCfg.reject_unauthorized !== undefined ? smtpCfg.reject_unauthorized : process.env.SMTP_TLS_REJECT_UNAUTHORIZED);
+  return {
+    host,
+    port,
+    secure,
+    starttls, // undefined = upgrade when advertised, true = require, false = never
+    user: process.env.SMTP_USER || '',
+    pass: process.env.SMTP_PASS || '',
+    name: smtpCfg.client_name || process.env.SMTP_CLIENT_NAME || os.hostname() || 'localhost',
+    timeout,
+    rejectUnauthorized: rejectUnauthorized !== false,
+  };
+}
+
+// Wraps a socket and yields complete (possibly multi-line) SMTP replies in order
+function createSession(config) {
+  let socket = null;
+  let buffer = '';
+  let lines = [];
+  let failure = null;
+  const replies = [];
+  const waiters = [];
+
+  function deliver(reply) {
+    const waiter = waiters.shift();
+    if (waiter) waiter.resolve(reply);
+    else replies.push(reply);
+  }
+
+  function fail(err) {
+    if (failure) return;
+    failure = err;
+    while (waiters.length) waiters.shift().reject(err);
+  }
+
+  function onData(chunk) {
+    buffer += chunk.toString('utf8');
+    let idx;
+    while ((idx = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, idx).replace(/\r$/, '');
+      buffer = buffer.slice(idx + 1);
+      lines.push(line);
+      if (/^\d{3}(?: |$)/.test(line)) {
+        const reply = { code: Number(line.slice(0, 3)), lines: lines.map(l => l.slice(4)) };
+        reply.text = reply.lines.join('\n');
+        lines = [];
+        deliver(reply);
+      }
+    }
+  }
+
+  function attach(s) {
+    socket = s;
+    socket.setTimeout(config.timeout);
+    socket.on('data', onData);
+    socket.on('timeout', () => {
+      fail(new Error(`SMTP timeout after ${config.timeout}ms`));
+      socket.destroy();
+    });
+    socket.on('error', fail);
+    socket.on('close', () => fail(new Error('SMTP connection closed')));
+  }
+
+  function read() {
+    if (replies.length) return Promise.resolve(replies.shift());
+    if (failure) return Promise.reject(failure);
+    return new Promise((resolve, reject) => waiters.push({ resolve, reject }));
+  }
+
+  function write(data) {
+    socket.write(data);
+  }
+
+  async function command(line, expected, label) {
+    write(`${line}\r\n`);
+    const reply = await read();
+    expectCode(reply, expected, label || line.split(' ')[0]);
+    return reply;
+  }
+
+  function connect() {
+    return new Promise((resolve, reject) => {
+      const opts = { host: config.host, port: config.port };
+      const onError = (err) => reject(err);
+      const s = config.secure
+        ? tls.connect({ ...opts, ...tlsOptions(config) }, () => { s.removeListener('error', onError); resolve(); })
+        : net.connect(opts, () => { s.removeListener('error', onError); resolve(); });
+      s.once('error', onError);
+      attach(s);
+    });
+  }
+
+  // Upgrade the plain connection to TLS in place (after a 220 reply to STARTTLS)
+  function upgrade() {
+    return new Promise((resolve, reject) => {
+      const plain = socket;
+      plain.removeAllListeners('data');
+      plain.removeAllListeners('timeout');
+      plain.removeAllListeners('error');
+      plain.removeAllListeners('close');
+      plain.setTimeout(0);
+      const secured = tls.connect({ socket: plain, ...tlsOptions(config) }, () => {
+        secured.removeListener('error', reject);
+        resolve();
+      });
+      secured.once('error', reject);
+      buffer = '';
+      lines = [];
+      attach(secured);
+    });
+  }
+
+  function close() {
+    if (socket && !socket.destroyed) socket.destroy();
+  }
+
+  return { connect, read, write, command, upgrade, close };
+}
+
+function tlsOptions(config) {
+  const opts = { rejectUnauthorized: config.rejectUnauthorized };
+  // SNI only accepts hostnames, not IP literals
+  if (!net.isIP(config.host)) opts.servername = config.host;
+  return opts;
+}
+
+function expectCode(reply, expected, label) {
+  const codes = Array.isArray(expected) ? expected : [expected];
+  if (!codes.includes(reply.code)) {
+    throw new Error(`SMTP ${label} failed: ${reply.code} ${reply.text}`);
+  }
+}
+
+function parseExtensions(reply) {
+  const exts = {};
+  reply.lines.slice(1).forEach((l) => {
+    const [key, ...rest] = l.trim().split(/\s+/);
+    if (key) exts[key.toUpperCase()] = rest.map(r => r.toUpperCase());
+  });
+  return exts;
+}
+
+async function authenticate(session, exts, config) {
+  const mechs = exts.AUTH || [];
+  if (mechs.includes('PLAIN') || !mechs.includes('LOGIN')) {
+    const token = Buffer.from(`\u0000${config.user}\u0000${config.pass}`).toString('base64');
+    await session.command(`AUTH PLAIN ${token}`, 235, 'AUTH PLAIN');
+    return;
+  }
+  await session.command('AUTH LOGIN', 334, 'AUTH LOGIN');
+  await session.command(Buffer.from(config.user).toString('base64'), 334, 'AUTH LOGIN (user)');
+  await session.command(Buffer.from(config.pass).toString('base64'), 235, 'AUTH LOGIN (pass)');
+}
+
+// Normalize to CRLF line endings and apply RFC 5321 dot-stuffing
+function encodeData(message) {
+  return String(message)
+    .replace(/\r?\n/g, '\r\n')
+    .split('\r\n')
+    .map(line => (line.startsWith('.') ? `.${line}` : line))
+    .join('\r\n');
+}
+
+// Servers commonly answer DATA with e.g. "250 2.0.0 Ok: queued as 4BQ1x..." or "250 OK id=1abc"
+function extractQueueId(reply) {
+  const text = reply && reply.text ? reply.text : '';
+  const m = text.match(/queued as\s+<?([^\s>]+)>?/i) || text.match(/\bid=<?([^\s>]+)>?/i);
+  return m ? m[1] : null;
+}
+
+function generateMessageId(fromEmail) {
+  const domain = String(fromEmail || '').split('@')[1] || 'localhost';
+  const rand = Math.random().toString(36).slice(2, 10);
+  return `<${Date.now()}.${rand}@${domain}>`;
+}
+
+async function sendMime({ config, from, recipients, message }) {
+  if (!config.host) throw new Error('Missing SMTP host: set email.smtp.host in config.json or SMTP_HOST');
+  const session = createSession(config);
+  try {
+    await session.connect();
+    expectCode(await session.read(), 220, 'greeting');
+    let ehlo = await session.command(`EHLO ${config.name}`, 250);
+    let exts = parseExtensions(ehlo);
+    if (!config.secure) {
+      const advertised = !!exts.STARTTLS;
+      if (config.starttls === true && !advertised) throw new Error('SMTP server does not advertise STARTTLS');
+      if (config.starttls !== false && advertised) {
+        await session.command('STARTTLS', 220);
+        await session.upgrade();
+        ehlo = await session.command(`EHLO ${config.name}`, 250);
+        exts = parseExtensions(ehlo);
+      }
+    }
+    if (config.user) await authenticate(session, exts, config);
+    const bodyParam = exts['8BITMIME'] ? ' BODY=8BITMIME' : '';
+    await session.command(`MAIL FROM:<${from}>${bodyParam}`, 250, 'MAIL FROM');
+    for (const rcpt of recipients) {
+      await session.command(`RCPT TO:<${rcpt}>`, [250, 251], 'RCPT TO');
+    }
+    await session.command('DATA', 354);
+    session.write(`${encodeData(message)}\r\n.\r\n`);
+    const accepted = await session.read();
+    expectCode(accepted, 250, 'DATA (message)');
+    try { await session.command('QUIT', 221); } catch (_) { /* server may drop the connection first */ }
+    return { response: accepted.text, queueId: extractQueueId(accepted) };
+  } finally {
+    session.close();
+  }
+}
+
+async function sendEmail({ fromName, fromEmail, to, cc = [], bcc = [], subject, html, text, attachments, inlineImages }, config) {
+  const messageId = generateMessageId(fromEmail);
+  // Bcc recipients go on the envelope only; never in the transmitted headers
+  const message = buildMime({ fromName, fromEmail, to, cc, bcc: [], subject, html, text, attachments, inlineImages, messageId, date: new Date() });
+  const recipients = [...to, ...cc, ...bcc];
+  const result = await sendMime({ config, from: fromEmail, recipients, message });
+  return { id: result.queueId || messageId, messageId, response: result.response };
+}
+
+module.exports = { sendEmail, getSmtpConfig };
@@ -0,0 +1,45 @@
+// Email transport selection: routes a send to the backend named in config `email.transport`
+const gmail = require('./gmail');
+const smtp = require('./smtp');
+const outbox = require('./outbox');
+
+const DEFAULT_TRANSPORT = 'gmail-api';
+
+function getEmailConfig(base) {
+  const cfg = base && base.email;
+  return (cfg && typeof cfg === 'object') ? cfg : {};
+}
+
+function resolveTransportName(base) {
+  const raw = getEmailConfig(base).transport || process.env.EMAIL_TRANSPORT || DEFAULT_TRANSPORT;
+  const name = String(raw).trim().toLowerCase();
+  if (name === 'gmail') return 'gmail-api';
+  if (name === 'outbox') return 'file';
+  return name;
+}
+
+/**
+ * Send a message through the configured transport.
+ * `opts.outboxDir` is where the file transport writes .eml files.
+ * Returns { id, transport } where id is the provider's message/queue id
+ * (synthetic for the file transport, which also returns the .eml path).
+ */
+async function sendEmail(base, message, opts = {}) {
+  const transport = resolveTransportName(base);
+  if (transport === 'gmail-api') {
+    const data = await gmail.sendEmail(message);
+    return { id: data.id, transport };
+  }
+  if (transport === 'smtp') {
+    const config = smtp.getSmtpConfig(getEmailConfig(base));
+    const data = await smtp.sendEmail(message, config);
+    return { id: data.id, transport };
+  }
+  if (transport === 'file') {
+    const data = await outbox.sendEmail(message, { dir: opts.outboxDir });
+    return { id: data.id, transport, path: data.path };
+  }
+  throw new Error(`Unsupported email transport: ${transport}`);
+}
+
+module.exports = { sendEmail, resolveTransportName };
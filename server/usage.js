@@ -0,0 +1,155 @@
+// LLM usage accounting: a per-model price table, cost estimates for traced calls, running
+// totals per instance (meta.json `llm_usage`) and totals per owner across AGENT_FOLDER.
+const fs = require('fs');
+const path = require('path');
+const { listDirs } = require('./scheduler');
+
+const USAGE_FIELDS = ['calls', 'input_tokens', 'output_tokens', 'total_tokens', 'latency_ms', 'unpriced_calls'];
+
+function readPriceSource(raw, label) {
+  if (!raw) return {};
+  try {
+    const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : {};
+  } catch (e) {
+    console.log(`[WARN] Ignoring invalid ${label}: ${e.message}`);
+    return {};
+  }
+}
+
+// { input, output } in USD per 1M tokens; entries may spell them input_per_1m / output_per_1m
+function normalizePrice(entry) {
+  if (!entry || typeof entry !== 'object') return null;
+  const input = Number(entry.input_per_1m !== undefined ? entry.input_per_1m : entry.input);
+  const output = Number(entry.output_per_1m !== undefined ? entry.output_per_1m : entry.output);
+  if (!Number.isFinite(input) && !Number.isFinite(output)) return null;
+  return { input: Number.isFinite(input) ? input : 0, output: Number.isFinite(output) ? output : 0 };
+}
+
+/**
+ * Price table keyed by "provider:model", "model", "provider:*" or "*". Read from LLM_PRICES
+ * (JSON) or the JSON file at LLM_PRICES_FILE; entries in the instance `llm.prices` block win.
+ */
+function getPriceTable(base) {
+  let fileTable = {};
+  if (process.env.LLM_PRICES_FILE) {
+    try {
+      fileTable = readPriceSource(fs.readFileSync(process.env.LLM_PRICES_FILE, 'utf8'), 'LLM_PRICES_FILE');
+    } catch (e) {
+      console.log(`[WARN] Unable to read LLM_PRICES_FILE: ${e.message}`);
+    }
+  }
+  const merged = {
+    ...fileTable,
+    ...readPriceSource(process.env.LLM_PRICES, 'LLM_PRICES'),
+    ...readPriceSource(base && base.llm && base.llm.prices, 'llm.prices'),
+  };
+  const table = {};
+  Object.keys(merged).forEach((key) => {
+    const price = normalizePrice(merged[key]);
+    if (price) table[key.toLowerCase()] = price;
+  });
+  return table;
+}
+
+function findPrice(prices, provider, model) {
+  const p = String(provider || '').toLowerCase();
+  const m = String(model || '').toLowerCase();
+  const keys = [m && `${p}:${m}`, m, `${p}:*`, '*'].filter(Boolean);
+  const key = keys.find(k => prices[k]);
+  return key ? prices[key] : null;
+}
+
+function roundCost(value) {
+  return Math.round(value * 1e6) / 1e6;
+}
+
+// Adds `cost_usd` to every attempt that reported token usage (null when the model has no price)
+function priceAttempts(attempts, prices) {
+  (attempts || []).forEach((a) => {
+    if (!a.usage) return;
+    const price = findPrice(prices, a.provider, a.model);
+    a.cost_usd = price ? roundCost((a.usage.input_tokens * price.input + a.usage.output_tokens * price.output) / 1e6) : null;
+  });
+  return attempts;
+}
+
+/**
+ * Totals for one generation's attempts: every call counts toward `calls` and `latency_ms`;
+ * token counts come from calls that reported usage. `cost_usd` is null when no call was priced.
+ */
+function summarizeAttempts(attempts) {
+  const list = attempts || [];
+  const summary = { calls: list.length, input_tokens: 0, output_tokens: 0, total_tokens: 0, cost_usd: null, latency_ms: 0, unpriced_calls: 0 };
+  list.forEach((a) => {
+    summary.latency_ms += Number(a.duration_ms) || 0;
+    if (!a.usage) return;
+    summary.input_tokens += a.usage.input_tokens;
+    summary.output_tokens += a.usage.output_tokens;
+    if (typeof a.cost_usd === 'number') summary.cost_usd = roundCost((summary.cost_usd || 0) + a.cost_usd);
+    else summary.unpriced_calls += 1;
+  });
+  summary.total_tokens = summary.input_tokens + summary.output_tokens;
+  return summary;
+}
+
+// Running totals: add `delta` (a summarizeAttempts result) to `total` (may be undefined)
+function addUsage(total, delta) {
+  const next = { generations: ((total && total.generations) || 0) + 1 };
+  USAGE_FIELDS.forEach((f) => {
+    next[f] = ((total && Number(total[f])) || 0) + ((delta && Number(delta[f])) || 0);
+  });
+  const costs = [total && total.cost_usd, delta && delta.cost_usd].filter(c => typeof c === 'number');
+  next.cost_usd = costs.length ? roundCost(costs.reduce((a, b) => a + b, 0)) : null;
+  next.updated_at = new Date().toISOString();
+  return next;
+}
+
+function readMetaFile(metaPath) {
+  try {
+    const meta = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+    return meta && typeof meta === 'object' ? meta : null;
+  } catch (_) {
+    return null;
+  }
+}
+
+/**
+ * Usage totals per owner across AGENT_FOLDER (instances and their recurring runs). With
+ * `owner`, only that owner is returned, with a per-instance breakdown.
+ */
+function collectUsageByOwner(agentFolder, { owner } = {}) {
+  const owners = new Map();
+  const visit = (instanceId) => {
+    const meta = readMetaFile(path.join(agentFolder, instanceId, 'meta.json'));
+    if (!meta || !meta.llm_usage) return;
+    const name = meta.owner ? String(meta.owner).trim() : 'unknown';
+    if (owner && name !== owner) return;
+    if (!owners.has(name)) owners.set(name, { owner: name, instances: [] });
+    owners.get(name).instances.push({ instance_id: instanceId, ...meta.llm_usage });
+  };
+  listDirs(agentFolder).forEach((name) => {
+    visit(name);
+    listDirs(path.join(agentFolder, name, 'runs')).forEach(run => visit(`${name}/runs/${run}`));
+  });
+  const sum = (rows) => {
+    const out = { instances: rows.length, generations: 0, cost_usd: null };
+    USAGE_FIELDS.forEach((f) => { out[f] = 0; });
+    rows.forEach((r) => {
+      out.generations += Number(r.generations) || 0;
+      USAGE_FIELDS.forEach((f) => { out[f] += Number(r[f]) || 0; });
+      if (typeof r.cost_usd === 'number') out.cost_usd = roundCost((out.cost_usd || 0) + r.cost_usd);
+    });
+    return out;
+  };
+  const rows = Array.from(owners.values()).map(o => ({
+    owner: o.owner,
+    ...sum(o.instances),
+    ...(owner ? { by_instance: o.instances } : {}),
+  }));
+  rows.sort((a, b) => (b.cost_usd || 0) - (a.cost_usd || 0) || b.total_tokens - a.total_tokens);
+  const all = Array.from(owners.values()).reduce((acc, o) => acc.concat(o.instances), []);
+  return { owners: rows, totals: sum(all) };
+}
+
+module.exports = { getPriceTable, priceAttempts, summarizeAttempts, addUsage, collectUsageByOwner };
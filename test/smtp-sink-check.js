@@ -0,0 +1,160 @@
+// End-to-end check of the SMTP transport against a local sink: starts a minimal SMTP server and
+// the REST server on free ports with a throwaway AGENT_FOLDER, sends one instance email through
+// POST /api/email-agent/send and asserts that the sink received it and that meta.json
+// `last_send_id` holds the id the sink reported. Run with `npm run check:smtp`.
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const http = require('http');
+const { spawn } = require('child_process');
+
+const QUEUE_ID = 'SINK0001';
+const INSTANCE_ID = 'smtp-check';
+const TIMEOUT_MS = 20000;
+
+// Accepts every command a plain (no TLS, no AUTH) submission needs and records each message
+function startSink() {
+  const received = [];
+  const server = net.createServer((sock) => {
+    let buf = '';
+    let inData = false;
+    let envelope = { rcpt: [], data: '' };
+    sock.write('220 sink ready\r\n');
+    sock.on('data', (chunk) => {
+      buf += chunk.toString('utf8');
+      let i;
+      while ((i = buf.indexOf('\r\n')) !== -1) {
+        const line = buf.slice(0, i);
+        buf = buf.slice(i + 2);
+        if (inData) {
+          if (line === '.') {
+            inData = false;
+            received.push(envelope);
+            envelope = { rcpt: [], data: '' };
+            sock.write(`250 2.0.0 Ok: queued as ${QUEUE_ID}\r\n`);
+          } else {
+            envelope.data += `${line}\r\n`;
+          }
+          continue;
+        }
+        const cmd = line.split(' ')[0].toUpperCase();
+        if (cmd === 'EHLO' || cmd === 'HELO') sock.write('250-sink\r\n250 8BITMIME\r\n');
+        else if (cmd === 'AUTH') sock.write('235 ok\r\n');
+        else if (cmd === 'MAIL') { envelope.from = line; sock.write('250 ok\r\n'); }
+        else if (cmd === 'RCPT') { envelope.rcpt.push(line); sock.write('250 ok\r\n'); }
+        else if (cmd === 'DATA') { inData = true; sock.write('354 go ahead\r\n'); }
+        else if (cmd === 'RSET' || cmd === 'NOOP') sock.write('250 ok\r\n');
+        else if (cmd === 'QUIT') { sock.write('221 bye\r\n'); sock.end(); }
+        else sock.write('502 not implemented\r\n');
+      }
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve({ server, received, port: server.address().port })));
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer();
+    probe.once('error', reject);
+    probe.listen(0, '127.0.0.1', () => {
+      const { port } = probe.address();
+      probe.close(() => resolve(port));
+    });
+  });
+}
+
+function request(port, method, p, body) {
+  return new Promise((resolve, reject) => {
+    const payload = body ? JSON.stringify(body) : undefined;
+    const req = http.request({ host: '127.0.0.1', port, method, path: p, headers: payload ? { 'content-type': 'application/json' } : {} }, (res) => {
+      let text = '';
+      res.on('data', (c) => { text += c; });
+      res.on('end', () => resolve({ status: res.statusCode, text }));
+    });
+    req.on('error', reject);
+    if (payload) req.write(payload);
+    req.end();
+  });
+}
+
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+async function waitFor(label, fn) {
+  const deadline = Date.now() + TIMEOUT_MS;
+  for (;;) {
+    try {
+      const value = await fn();
+      if (value) return value;
+    } catch (_) {
+      // not ready yet
+    }
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${label}`);
+    await sleep(200);
+  }
+}
+
+function writeInstance(agentFolder, sinkPort) {
+  const dir = path.join(agentFolder, INSTANCE_ID);
+  fs.mkdirSync(path.join(dir, 'artifacts'), { recursive: true });
+  fs.writeFileSync(path.join(dir, 'config.json'), JSON.stringify({
+    instance_id: INSTANCE_ID,
+    email_subject: 'SMTP sink check',
+    sender_email: 'sender@example.com',
+    sender_name: 'Sink Check',
+    to: ['rcpt@example.com'],
+    email: { transport: 'smtp', smtp: { host: '127.0.0.1', port: sinkPort, secure: false, starttls: false } },
+    'human-in-the-loop': { enable: false },
+  }, null, 2));
+  fs.writeFileSync(path.join(dir, 'meta.json'), JSON.stringify({ status: 'new', owner: 'smtp-check' }, null, 2));
+  fs.writeFileSync(path.join(dir, 'artifacts', 'email.html'), '<!DOCTYPE html><html><body><p>Hello from the SMTP sink check.</p></body></html>');
+  return path.join(dir, 'meta.json');
+}
+
+async function main() {
+  const sink = await startSink();
+  const agentFolder = fs.mkdtempSync(path.join(os.tmpdir(), 'email-agent-smtp-'));
+  const metaPath = writeInstance(agentFolder, sink.port);
+  const port = await freePort();
+  const env = {
+    ...process.env,
+    PORT: String(port),
+    AGENT_FOLDER: agentFolder,
+    LOG_API_URL: 'http://127.0.0.1:1/api/log',
+    AMP_BACKEND_URL: 'http://127.0.0.1:1',
+    SMTP_USER: '',
+    SMTP_PASS: '',
+  };
+  // Server output is shown only when the check fails (unreachable log services are expected)
+  const child = spawn(process.execPath, [path.join(__dirname, '..', 'server', 'server.js')], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  let output = '';
+  const keep = (c) => { output = (output + c).slice(-8000); };
+  child.stdout.on('data', keep);
+  child.stderr.on('data', keep);
+  try {
+    await waitFor('server /health', async () => (await request(port, 'GET', '/health')).status === 200);
+    const res = await request(port, 'POST', '/api/email-agent/send', { instance_id: INSTANCE_ID, skipHitl: true });
+    if (res.status !== 200) throw new Error(`send failed: HTTP ${res.status} ${res.text}`);
+    const meta = await waitFor('meta.json finished', () => {
+      const m = JSON.parse(fs.readFileSync(metaPath, 'utf8'));
+      return m.status === 'finished' ? m : null;
+    });
+    if (sink.received.length !== 1) throw new Error(`sink received ${sink.received.length} message(s), expected 1`);
+    if (!sink.received[0].rcpt.some(r => r.includes('rcpt@example.com'))) throw new Error('sink did not get RCPT TO:<rcpt@example.com>');
+    if (!/Subject: SMTP sink check/.test(sink.received[0].data)) throw new Error('message is missing its Subject header');
+    if (meta.last_send_id !== QUEUE_ID) throw new Error(`meta.json last_send_id is ${JSON.stringify(meta.last_send_id)}, expected ${QUEUE_ID}`);
+    console.log(`ok - SMTP transport delivered to the sink on port ${sink.port}; last_send_id=${meta.last_send_id}`);
+  } catch (e) {
+    e.message += `\n--- server output (tail) ---\n${output}`;
+    throw e;
+  } finally {
+    child.kill();
+    sink.server.close();
+    fs.rmSync(agentFolder, { recursive: true, force: true });
+  }
+}
+
+main().catch((e) => {
+  console.error(`not ok - ${e.message}`);
+  process.exitCode = 1;
+});